@@ -0,0 +1,346 @@
+// This file is part of MapperExp.
+//
+// MapperExp is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+//
+// MapperExp is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Built-in named transforms, registered in every DataMapper's
+ * TransformRegistry. All have the named-transform signature
+ * `(value, args, ctx) => result`, are pure, and pass `null`/`undefined`
+ * through unchanged so that `default` and `required` still apply.
+ */
+
+// ServiceNow GlideDateTime display/storage format (UTC)
+const SERVICENOW_DATE_TIME = 'yyyy-MM-dd HH:mm:ss';
+
+const DATE_TOKENS = {
+  yyyy: { pattern: '(\\d{4})', part: 'year' },
+  MM: { pattern: '(\\d{2})', part: 'month' },
+  dd: { pattern: '(\\d{2})', part: 'day' },
+  HH: { pattern: '(\\d{2})', part: 'hour' },
+  mm: { pattern: '(\\d{2})', part: 'minute' },
+  ss: { pattern: '(\\d{2})', part: 'second' },
+  SSS: { pattern: '(\\d{3})', part: 'millisecond' },
+};
+const DATE_TOKEN_REGEX = /yyyy|SSS|MM|dd|HH|mm|ss/g;
+
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Wrap a transform so that null/undefined pass through and any other value
+ * must be of `expected` type ('string', 'number', 'array', 'object').
+ */
+function expecting(expected, name, fn) {
+  return (value, args = [], ctx) => {
+    if (isMissing(value)) return value;
+    const actual = typeOf(value);
+    const allowed = Array.isArray(expected) ? expected : [expected];
+    if (!allowed.includes(actual)) {
+      throw new TypeError(`"${name}" expects ${allowed.join(' or ')} but got ${actual}`);
+    }
+    return fn(value, args, ctx);
+  };
+}
+
+/**
+ * Split a string into lowercase words for case conversions.
+ */
+function words(value) {
+  return value
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(w => w.toLowerCase());
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Values of an array, or of an object in key order (multi-source input).
+ */
+function valuesOf(value) {
+  return Array.isArray(value) ? value : Object.values(value);
+}
+
+/**
+ * Decimal and group separators for a locale, e.g. "de-DE" -> { decimal: ',', group: '.' }.
+ */
+function separatorsFor(locale) {
+  const fallback = { decimal: '.', group: ',' };
+  if (!locale || typeof Intl === 'undefined' || !Intl.NumberFormat) return fallback;
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  const find = (type, def) => {
+    const part = parts.find(p => p.type === type);
+    return part ? part.value : def;
+  };
+  return { decimal: find('decimal', '.'), group: find('group', ',') };
+}
+
+function parseLocaleNumber(value, locale, name) {
+  if (typeof value === 'number') return value;
+  const text = value.trim();
+  if (text === '') return undefined;
+
+  const { decimal, group } = separatorsFor(locale);
+  const normalized = text
+    .split(group).join('')
+    .replace(/\s/g, '')
+    .split(decimal).join('.');
+  if (!/^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/.test(normalized)) {
+    throw new Error(`"${name}" cannot parse "${value}" as a number`);
+  }
+  return Number(normalized);
+}
+
+/**
+ * Round to `digits` decimals using exponent notation to avoid binary
+ * floating point artifacts (e.g. 1.005 -> 1.01).
+ */
+function roundWith(method, value, digits = 0) {
+  if (!Number.isInteger(digits)) {
+    throw new Error(`Rounding digits must be an integer but got ${digits}`);
+  }
+  if (!Number.isFinite(value)) return value;
+  return shiftDecimal(Math[method](shiftDecimal(value, digits)), -digits);
+}
+
+/**
+ * Multiply by 10^digits through the decimal exponent. Values that already
+ * print in exponent form (1e-7, 1e21) have their exponent adjusted.
+ */
+function shiftDecimal(value, digits) {
+  const [mantissa, exponent = '0'] = String(value).split('e');
+  return Number(`${mantissa}e${Number(exponent) + digits}`);
+}
+
+/**
+ * Parse a timezone offset: 'Z', 'UTC', '+05:30', '-0800' or minutes.
+ * Returns the offset in minutes east of UTC.
+ */
+function parseOffset(offset) {
+  if (offset === undefined || offset === null || offset === 'Z' || offset === 'UTC') return 0;
+  if (typeof offset === 'number' && Number.isInteger(offset)) return offset;
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(String(offset));
+  if (!match) {
+    throw new Error(`Invalid timezone offset "${offset}"; use "Z", "+hh:mm", "-hh:mm" or minutes`);
+  }
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+function formatOffset(minutes) {
+  if (minutes === 0) return 'Z';
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60), 2)}:${pad(abs % 60, 2)}`;
+}
+
+function pad(n, width) {
+  return String(n).padStart(width, '0');
+}
+
+/**
+ * Convert a Date, epoch milliseconds or ISO 8601 string to epoch ms.
+ * ISO strings without a zone designator are read as UTC.
+ */
+function toTimestamp(value, name) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') {
+    const match = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)(Z|[+-]\d{2}:?\d{2})?)?$/.exec(value);
+    if (match) {
+      const time = match[2] || '00:00:00';
+      const offset = match[3] ? parseOffset(match[3]) : 0;
+      const ms = Date.parse(`${match[1]}T${time}${formatOffset(offset)}`);
+      if (!Number.isNaN(ms)) {
+        const [year, month, day] = match[1].split('-').map(Number);
+        const [hour, minute, second = 0] = time.split(':').map(n => Math.floor(Number(n)));
+        assertDateFields(ms + offset * 60000, { year, month, day, hour, minute, second }, value, name);
+        return ms;
+      }
+    }
+  }
+  throw new Error(`"${name}" cannot read "${value}" as a date`);
+}
+
+/**
+ * Parse `value` with a pattern (yyyy, MM, dd, HH, mm, ss, SSS; other
+ * characters are literal) as wall-clock time at `offsetMinutes`.
+ */
+function parseWithPattern(value, pattern, offsetMinutes, name) {
+  const parts = [];
+  const source = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(DATE_TOKEN_REGEX, (token) => {
+    parts.push(DATE_TOKENS[token].part);
+    return DATE_TOKENS[token].pattern;
+  });
+  const match = new RegExp(`^${source}$`).exec(value);
+  if (!match) {
+    throw new Error(`"${name}" expects a date matching "${pattern}" but got "${value}"`);
+  }
+
+  const fields = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0 };
+  parts.forEach((part, i) => { fields[part] = Number(match[i + 1]); });
+
+  const utc = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second, fields.millisecond);
+  assertDateFields(utc, fields, value, name);
+  return utc - offsetMinutes * 60000;
+}
+
+/**
+ * Reject dates that Date.UTC/Date.parse silently roll over, such as
+ * 2024-02-30, by comparing wall-clock `utc` with the parsed fields.
+ */
+function assertDateFields(utc, fields, value, name) {
+  const check = new Date(utc);
+  if (
+    check.getUTCFullYear() !== fields.year || check.getUTCMonth() !== fields.month - 1 ||
+    check.getUTCDate() !== fields.day || check.getUTCHours() !== fields.hour ||
+    check.getUTCMinutes() !== fields.minute || check.getUTCSeconds() !== fields.second
+  ) {
+    throw new Error(`"${name}" got an invalid date "${value}"`);
+  }
+}
+
+/**
+ * Format epoch ms with a pattern, or as ISO 8601 for 'iso', at `offsetMinutes`.
+ */
+function formatWithPattern(timestamp, pattern, offsetMinutes) {
+  if (pattern === 'iso' && offsetMinutes === 0) {
+    return new Date(timestamp).toISOString();
+  }
+  const local = new Date(timestamp + offsetMinutes * 60000);
+  const values = {
+    yyyy: pad(local.getUTCFullYear(), 4),
+    MM: pad(local.getUTCMonth() + 1, 2),
+    dd: pad(local.getUTCDate(), 2),
+    HH: pad(local.getUTCHours(), 2),
+    mm: pad(local.getUTCMinutes(), 2),
+    ss: pad(local.getUTCSeconds(), 2),
+    SSS: pad(local.getUTCMilliseconds(), 3),
+  };
+  if (pattern === 'iso') {
+    return `${values.yyyy}-${values.MM}-${values.dd}T${values.HH}:${values.mm}:${values.ss}.${values.SSS}${formatOffset(offsetMinutes)}`;
+  }
+  return pattern.replace(DATE_TOKEN_REGEX, (token) => values[token]);
+}
+
+/**
+ * Date string -> ISO 8601 (UTC). args: [pattern = 'iso', offset of the input = 'Z']
+ */
+function parseDate(value, [pattern = 'iso', offset] = []) {
+  const ms = pattern === 'iso'
+    ? toTimestamp(value, 'parseDate')
+    : parseWithPattern(value, pattern, parseOffset(offset), 'parseDate');
+  return new Date(ms).toISOString();
+}
+
+/**
+ * Date, epoch ms or ISO string -> formatted string.
+ * args: [pattern = 'iso', offset of the output = 'Z']
+ */
+function formatDate(value, [pattern = 'iso', offset] = []) {
+  return formatWithPattern(toTimestamp(value, 'formatDate'), pattern, parseOffset(offset));
+}
+
+function dedupeKey(item) {
+  return item !== null && typeof item === 'object' ? `o:${JSON.stringify(item)}` : `${typeof item}:${String(item)}`;
+}
+
+const builtinTransforms = {
+  // --- strings ---
+  trim: expecting('string', 'trim', (value) => value.trim()),
+  lowercase: expecting('string', 'lowercase', (value) => value.toLowerCase()),
+  uppercase: expecting('string', 'uppercase', (value) => value.toUpperCase()),
+  capitalize: expecting('string', 'capitalize', (value) => capitalize(value)),
+  titleCase: expecting('string', 'titleCase', (value) => words(value).map(capitalize).join(' ')),
+  camelCase: expecting('string', 'camelCase', (value) =>
+    words(value).map((w, i) => (i === 0 ? w : capitalize(w))).join('')),
+  snakeCase: expecting('string', 'snakeCase', (value) => words(value).join('_')),
+  kebabCase: expecting('string', 'kebabCase', (value) => words(value).join('-')),
+  slugify: expecting('string', 'slugify', (value, [separator = '-']) =>
+    words(value.normalize('NFKD').replace(/[\u0300-\u036f]/g, '')).join(separator)),
+  truncate: expecting('string', 'truncate', (value, [max, suffix = '']) => {
+    if (!Number.isInteger(max) || max < 0) {
+      throw new Error(`"truncate" needs a non-negative integer length but got ${max}`);
+    }
+    if (value.length <= max) return value;
+    // A suffix longer than `max` is cut too, so the result never exceeds it
+    return (value.slice(0, Math.max(0, max - suffix.length)) + suffix).slice(0, max);
+  }),
+  split: expecting('string', 'split', (value, [separator = ',', trimItems = false]) => {
+    const items = value.split(separator);
+    return trimItems ? items.map(s => s.trim()) : items;
+  }),
+  join: expecting(['array', 'object'], 'join', (value, [separator = ' ']) =>
+    valuesOf(value).filter(v => !isMissing(v) && v !== '').join(separator)),
+
+  // --- numbers ---
+  parseFloat: expecting(['string', 'number'], 'parseFloat', (value, [locale]) =>
+    parseLocaleNumber(value, locale, 'parseFloat')),
+  parseInt: expecting(['string', 'number'], 'parseInt', (value, [locale]) => {
+    const n = parseLocaleNumber(value, locale, 'parseInt');
+    return n === undefined ? n : Math.trunc(n);
+  }),
+  round: expecting('number', 'round', (value, [digits]) => roundWith('round', value, digits)),
+  floor: expecting('number', 'floor', (value, [digits]) => roundWith('floor', value, digits)),
+  ceil: expecting('number', 'ceil', (value, [digits]) => roundWith('ceil', value, digits)),
+
+  // --- dates ---
+  parseDate: expecting('string', 'parseDate', parseDate),
+  formatDate: expecting(['string', 'number', 'object'], 'formatDate', formatDate),
+  fromServiceNowDate: expecting('string', 'fromServiceNowDate', (value, [offset]) =>
+    parseDate(value, [SERVICENOW_DATE_TIME, offset])),
+  toServiceNowDate: expecting(['string', 'number', 'object'], 'toServiceNowDate', (value, [offset]) =>
+    formatDate(value, [SERVICENOW_DATE_TIME, offset])),
+  shiftTimezone: expecting(['string', 'number', 'object'], 'shiftTimezone', (value, [offset]) =>
+    formatDate(value, ['iso', offset])),
+
+  // --- collections ---
+  coalesce: expecting(['array', 'object'], 'coalesce', (value) =>
+    valuesOf(value).find(v => !isMissing(v))),
+  first: expecting('array', 'first', (value) => value[0]),
+  last: expecting('array', 'last', (value) => value[value.length - 1]),
+  pick: expecting('object', 'pick', (value, keys) => {
+    const result = {};
+    for (const key of keys) {
+      if (Object.prototype.hasOwnProperty.call(value, key)) {
+        // defineProperty so a "__proto__" key is copied, not used as the prototype
+        Object.defineProperty(result, key, { value: value[key], enumerable: true, writable: true, configurable: true });
+      }
+    }
+    return result;
+  }),
+  omit: expecting('object', 'omit', (value, keys) => {
+    const result = { ...value };
+    for (const key of keys) delete result[key];
+    return result;
+  }),
+  flatten: expecting('array', 'flatten', (value, [depth = 1]) => value.flat(depth)),
+  uniq: expecting('array', 'uniq', (value) => {
+    const seen = new Set();
+    return value.filter(item => {
+      const key = dedupeKey(item);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }),
+};
+
+// CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = builtinTransforms;
+}
@@ -12,56 +12,514 @@ const PathUtils = require('./path-utils');
 const ValueExtractor = require('./value-extractor');
 const ValueSetter = require('./value-setter');
 const { ValidatorFactory } = require('./validators');
+const TransformRegistry = require('./transform-registry');
+const builtinTransforms = require('./builtin-transforms');
+const { randomUuid } = require('./default-helpers');
+const YamlParser = require('./yaml-parser');
+const {
+  MappingError, ValidationError, RequiredFieldError, TransformError, MissingSourceError,
+} = require('./errors');
+
+// Comparison operators of a declarative "when" condition
+const CONDITION_OPERATORS = ['equals', 'notEquals', 'in', 'exists'];
+
+// Selector roots that read from the output being built and from the
+// caller's variables instead of the source
+const OUTPUT_ROOT = '$out';
+const VARS_ROOT = '$vars';
+
+// How a rule treats null values ("nullPolicy") and empty strings and
+// arrays ("emptyPolicy"): as missing values, as ordinary values, or as
+// values to leave out of the output
+const VALUE_POLICIES = ['missing', 'value', 'omit'];
+const DEFAULT_POLICIES = { nullPolicy: 'missing', emptyPolicy: 'value' };
+
+// What a rule does to its target: write its value, delete the target or
+// move the value at "from" to the target
+const ACTIONS = ['set', 'unset', 'rename'];
+
+// Fields that only make sense for rules that produce a value ("set")
+const VALUE_FIELDS = ['type', 'transform', 'inverseTransform', 'default', 'required', 'each', 'lookup', 'merge'];
+
+// How a rule's value is combined with a value already at its target
+const MERGE_STRATEGIES = ['overwrite', 'deep-merge', 'append', 'error-on-conflict', 'first-wins'];
+
+// Returned by _writeValue when "first-wins" keeps the value already at the target
+const KEPT_EXISTING = Symbol('kept existing');
+
+// Rule properties checked by the validators, reported by explain()
+const VALIDATION_CONSTRAINTS = [
+  'minLength', 'maxLength', 'pattern', 'format', 'enum',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'minItems', 'maxItems', 'uniqueItems', 'items',
+];
 
 class DataMapper {
-  constructor(mappingConfig) {
+  /**
+   * @param {Object[]} mappingConfig - Mapping rules
+   * @param {Object} [options]
+   * @param {TransformRegistry|Object<string, Function>} [options.transforms] -
+   *   Named transforms that rules can refer to by name. A plain object is
+   *   added to the built-in transforms (and may override them); a
+   *   TransformRegistry is used as is.
+   * @param {Function} [options.clock] - () => Date or epoch ms; the current
+   *   time seen by transforms and defaults (ctx.now). Defaults to the system clock.
+   * @param {Function} [options.idGenerator] - () => string; new IDs seen by
+   *   transforms and defaults (ctx.uuid). Defaults to random UUIDs.
+   * @param {boolean} [options.strictSource=false] - Fail with a
+   *   MissingSourceError when a source selector names a path that does not
+   *   exist in the source; rules can override this with their own "strictSource".
+   * @param {boolean} [options.inheritedProperties=false] - Let selectors
+   *   read inherited properties of source objects (e.g. getters of a record
+   *   class) instead of own properties only.
+   * @param {string} [options.nullPolicy='missing'] - How rules treat null
+   *   values: 'missing', 'value' or 'omit'. Rules can override it.
+   * @param {string} [options.emptyPolicy='value'] - How rules treat empty
+   *   strings and arrays: 'missing', 'value' or 'omit'. Rules can override it.
+   */
+  constructor(mappingConfig, options = {}) {
     if (!Array.isArray(mappingConfig)) {
       throw new Error('Mapping config must be an array');
     }
+    for (const service of ['clock', 'idGenerator']) {
+      if (options[service] !== undefined && typeof options[service] !== 'function') {
+        throw new Error(`"${service}" must be a function`);
+      }
+    }
+    for (const flag of ['strictSource', 'inheritedProperties']) {
+      if (options[flag] !== undefined && typeof options[flag] !== 'boolean') {
+        throw new Error(`"${flag}" must be a boolean`);
+      }
+    }
+    for (const policy of Object.keys(DEFAULT_POLICIES)) {
+      if (options[policy] !== undefined && !VALUE_POLICIES.includes(options[policy])) {
+        throw new Error(`"${policy}" must be one of: ${VALUE_POLICIES.join(', ')}`);
+      }
+    }
+
+    this.options = options;
+    this.clock = options.clock || (() => new Date());
+    this.idGenerator = options.idGenerator || randomUuid;
+    this.transforms = options.transforms instanceof TransformRegistry
+      ? options.transforms
+      : new TransformRegistry({ ...builtinTransforms, ...options.transforms });
+
+    this.pathUtils = new PathUtils();
+    this.extractor = new ValueExtractor(this.pathUtils, { inheritedProperties: options.inheritedProperties });
+    this.setter = new ValueSetter(this.pathUtils);
+    this.validatorFactory = new ValidatorFactory();
 
     this._validateConfiguration(mappingConfig);
 
     this.mapping = mappingConfig.map((r, idx) => ({
       ...r,
+      sources: r.sources || {},
       __index: idx,
+      __each: r.each ? this._createEachMapper(r.each, idx) : undefined,
+      __transform: this._compileTransform(r.transform, true),
+      __inverse: this._compileTransform(r.inverseTransform, false),
     }));
 
-    this.pathUtils = new PathUtils();
-    this.extractor = new ValueExtractor(this.pathUtils);
-    this.setter = new ValueSetter(this.pathUtils);
-    this.validatorFactory = new ValidatorFactory();
+    // Rules grouped so that every rule comes after the rules whose output it reads
+    this.levels = this._planLevels();
+    this._checkTargetConflicts();
   }
 
   _validateConfiguration(config) {
     for (let i = 0; i < config.length; i++) {
       const rule = config[i];
+      const action = rule.action === undefined ? 'set' : rule.action;
 
-      // Enforce sources as object
-      if (!rule.sources || typeof rule.sources !== 'object' || Array.isArray(rule.sources)) {
-        throw new Error(
-          `Rule at index ${i}: "sources" must be an object. ` +
-          `Found: ${JSON.stringify(rule.sources)}`
-        );
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`Rule at index ${i}: "action" must be one of: ${ACTIONS.join(', ')}`);
       }
 
-      if (Object.keys(rule.sources).length === 0) {
-        throw new Error(`Rule at index ${i}: "sources" cannot be empty`);
+      // Enforce sources as object (optional for "unset" and "rename" rules)
+      if (action === 'set' || rule.sources !== undefined) {
+        if (!rule.sources || typeof rule.sources !== 'object' || Array.isArray(rule.sources)) {
+          throw new Error(
+            `Rule at index ${i}: "sources" must be an object. ` +
+            `Found: ${JSON.stringify(rule.sources)}`
+          );
+        }
+
+        if (Object.keys(rule.sources).length === 0) {
+          throw new Error(`Rule at index ${i}: "sources" cannot be empty`);
+        }
+
+        // Keys become fields of the transform input, so "__proto__" would
+        // replace its prototype instead of adding a field
+        const unsafeKey = Object.keys(rule.sources).find(key => this.pathUtils.isUnsafeKey(key));
+        if (unsafeKey !== undefined) {
+          throw new Error(`Rule at index ${i}: "sources" cannot have the unsafe key "${unsafeKey}"`);
+        }
       }
 
       if (!rule.target || typeof rule.target !== 'string') {
         throw new Error(`Rule at index ${i}: "target" must be a non-empty string`);
       }
 
-      if (!rule.type || typeof rule.type !== 'string') {
+      const unsafe = this.pathUtils.tokenize(rule.target).find(token => this.pathUtils.isUnsafeKey(token.value));
+      if (unsafe) {
+        throw new Error(`Rule at index ${i}: target "${rule.target}" contains the unsafe segment "${unsafe.value}"`);
+      }
+
+      if (action !== 'set') {
+        this._validateAction(rule, action, i);
+      } else if (rule.from !== undefined) {
+        throw new Error(`Rule at index ${i}: "from" is only used by action "rename"`);
+      } else if (!rule.type || typeof rule.type !== 'string') {
         throw new Error(`Rule at index ${i}: "type" must be a non-empty string`);
       }
 
-      if (rule.transform && typeof rule.transform !== 'function') {
+      this._validateTransformSpec(rule.transform, i, 'transform', '(input, { source }) => value');
+      this._validateTransformSpec(rule.inverseTransform, i, 'inverseTransform', '(value, { source }) => input');
+
+      if (rule.reversible !== undefined && typeof rule.reversible !== 'boolean') {
+        throw new Error(`Rule at index ${i}: "reversible" must be a boolean`);
+      }
+
+      if (rule.strictSource !== undefined && typeof rule.strictSource !== 'boolean') {
+        throw new Error(`Rule at index ${i}: "strictSource" must be a boolean`);
+      }
+
+      if (rule.merge !== undefined) {
+        if (!MERGE_STRATEGIES.includes(rule.merge)) {
+          throw new Error(`Rule at index ${i}: "merge" must be one of: ${MERGE_STRATEGIES.join(', ')}`);
+        }
+        if (this._appendsTo(rule.target)) {
+          throw new Error(`Rule at index ${i}: "merge" cannot be used with an append target`);
+        }
+      }
+
+      for (const policy of Object.keys(DEFAULT_POLICIES)) {
+        if (rule[policy] !== undefined && !VALUE_POLICIES.includes(rule[policy])) {
+          throw new Error(`Rule at index ${i}: "${policy}" must be one of: ${VALUE_POLICIES.join(', ')}`);
+        }
+      }
+
+      if (rule.each !== undefined && (!Array.isArray(rule.each) || rule.each.length === 0)) {
+        throw new Error(`Rule at index ${i}: "each" must be a non-empty array of rules`);
+      }
+
+      if (rule.when !== undefined && typeof rule.when !== 'function') {
+        this._validateCondition(rule.when, i);
+      }
+
+      this._validateLookup(rule, i);
+
+      if (rule.dependsOn !== undefined && (
+        !Array.isArray(rule.dependsOn) || !rule.dependsOn.every(d => typeof d === 'string' && d.length > 0)
+      )) {
+        throw new Error(`Rule at index ${i}: "dependsOn" must be an array of target paths`);
+      }
+    }
+  }
+
+  /**
+   * Validate an "unset" or "rename" rule. These rules change the output
+   * directly, so the fields that produce and check a value do not apply,
+   * and their paths must name one concrete location.
+   */
+  _validateAction(rule, action, i) {
+    for (const field of VALUE_FIELDS) {
+      if (rule[field] !== undefined) {
+        throw new Error(`Rule at index ${i}: "${field}" cannot be used with action "${action}"`);
+      }
+    }
+    if (action === 'rename' && (!rule.from || typeof rule.from !== 'string')) {
+      throw new Error(`Rule at index ${i}: "from" must be a non-empty string for action "rename"`);
+    }
+    if (action === 'unset' && rule.from !== undefined) {
+      throw new Error(`Rule at index ${i}: "from" is only used by action "rename"`);
+    }
+    for (const path of action === 'rename' ? [rule.from, rule.target] : [rule.target]) {
+      const tokens = this.pathUtils.tokenize(path);
+      if (!tokens.every(token => token.type === 'property' || token.type === 'index')) {
+        throw new Error(`Rule at index ${i}: action "${action}" needs a path to a single field, got "${path}"`);
+      }
+      const unsafe = tokens.find(token => this.pathUtils.isUnsafeKey(token.value));
+      if (unsafe) {
+        throw new Error(`Rule at index ${i}: path "${path}" contains the unsafe segment "${unsafe.value}"`);
+      }
+    }
+  }
+
+  /**
+   * Reject rules that write to the same target, or to a parent or child of
+   * another rule's target, unless the rule that writes later says how to
+   * combine the values with "merge". Appending to an array never replaces
+   * a value, so rules with an append target are not checked, and neither
+   * are "unset" and "rename" rules, which are meant to change earlier values.
+   * Pairs where either rule has a "when" are alternatives more often than
+   * not, so they are left to the runtime "merge" handling.
+   *
+   * @throws {Error} For the first conflicting pair, in execution order
+   */
+  _checkTargetConflicts() {
+    const order = [].concat(...this.levels).filter(rule => !isAction(rule));
+    for (let j = 1; j < order.length; j++) {
+      const later = order[j];
+      if (later.merge !== undefined || later.when !== undefined || this._appendsTo(later.target)) continue;
+      const earlier = order.slice(0, j)
+        .find(rule => rule.when === undefined && this._pathsOverlap(rule.target, later.target));
+      if (earlier) {
+        throw new Error(
+          `Rule at index ${later.__index}: target "${later.target}" conflicts with target ` +
+          `"${earlier.target}" of rule at index ${earlier.__index}; set "merge" to combine them`
+        );
+      }
+    }
+  }
+
+  /**
+   * True when a target path contains an append segment ("tags[]").
+   */
+  _appendsTo(target) {
+    return this.pathUtils.tokenize(target).some(token => token.type === 'append');
+  }
+
+  /**
+   * Validate "lookup", "lookupDefault" and "lookupStrict". Every value the
+   * lookup can produce must be allowed by the rule's "enum", if any.
+   */
+  _validateLookup(rule, i) {
+    if (rule.lookup === undefined) {
+      for (const field of ['lookupDefault', 'lookupStrict']) {
+        if (field in rule) {
+          throw new Error(`Rule at index ${i}: "${field}" requires "lookup"`);
+        }
+      }
+      return;
+    }
+
+    if (!rule.lookup || typeof rule.lookup !== 'object' || Array.isArray(rule.lookup)) {
+      throw new Error(`Rule at index ${i}: "lookup" must be an object mapping source values to output values`);
+    }
+    if (rule.lookupStrict !== undefined && typeof rule.lookupStrict !== 'boolean') {
+      throw new Error(`Rule at index ${i}: "lookupStrict" must be a boolean`);
+    }
+    if (rule.lookupStrict && 'lookupDefault' in rule) {
+      throw new Error(`Rule at index ${i}: "lookupStrict" and "lookupDefault" cannot be combined`);
+    }
+    if (!rule.transform && Object.keys(rule.sources).length > 1) {
+      throw new Error(`Rule at index ${i}: "lookup" needs a single source or a "transform" producing the key`);
+    }
+
+    if (Array.isArray(rule.enum)) {
+      const results = Object.values(rule.lookup);
+      if ('lookupDefault' in rule) results.push(rule.lookupDefault);
+      const invalid = results.find(v => !rule.enum.includes(v));
+      if (invalid !== undefined) {
+        throw new Error(
+          `Rule at index ${i}: lookup value ${JSON.stringify(invalid)} is not in enum [${rule.enum.join(', ')}]`
+        );
+      }
+    }
+  }
+
+  /**
+   * Validate a declarative "when" condition:
+   * { path, equals | notEquals | in | exists } or { all | any: [...] } or { not }.
+   */
+  _validateCondition(cond, i) {
+    const invalid = (reason) => new Error(
+      `Rule at index ${i}: "when" must be a function or a condition object (${reason})`
+    );
+
+    if (!cond || typeof cond !== 'object' || Array.isArray(cond)) {
+      throw invalid(`found ${JSON.stringify(cond)}`);
+    }
+    if ('all' in cond || 'any' in cond) {
+      const list = 'all' in cond ? cond.all : cond.any;
+      if (!Array.isArray(list) || list.length === 0) {
+        throw invalid('"all"/"any" must be a non-empty array');
+      }
+      list.forEach(c => this._validateCondition(c, i));
+      return;
+    }
+    if ('not' in cond) {
+      this._validateCondition(cond.not, i);
+      return;
+    }
+    if (typeof cond.path !== 'string' || !cond.path) {
+      throw invalid('"path" must be a non-empty string');
+    }
+    const operators = CONDITION_OPERATORS.filter(op => op in cond);
+    if (operators.length !== 1) {
+      throw invalid(`expected exactly one of ${CONDITION_OPERATORS.join(', ')}`);
+    }
+    if ('in' in cond && !Array.isArray(cond.in)) {
+      throw invalid('"in" must be an array');
+    }
+  }
+
+  /**
+   * A transform is either a function with the given signature, or a
+   * serializable spec: a registered name, { name, args }, or an array of
+   * those (and functions) applied left to right.
+   */
+  _validateTransformSpec(spec, i, field, signature) {
+    if (spec === undefined || spec === null || typeof spec === 'function') return;
+
+    const steps = Array.isArray(spec) ? spec : [spec];
+    if (steps.length === 0) {
+      throw new Error(`Rule at index ${i}: "${field}" pipeline cannot be empty`);
+    }
+    for (const step of steps) {
+      if (typeof step === 'function' && Array.isArray(spec)) continue;
+      const isObject = step !== null && typeof step === 'object' && !Array.isArray(step);
+      const name = isObject ? step.name : step;
+      if (typeof name !== 'string' || name.length === 0) {
         throw new Error(
-          `Rule at index ${i}: "transform" must be a function with ` +
-          `signature (input, { source }) => value`
+          `Rule at index ${i}: "${field}" must be a function with signature ${signature}, ` +
+          `a transform name, { name, args } or an array of those`
         );
       }
+      if (isObject && step.args !== undefined && !Array.isArray(step.args)) {
+        throw new Error(`Rule at index ${i}: "args" of transform "${name}" must be an array`);
+      }
+      if (!this.transforms.has(name)) {
+        throw new Error(`Rule at index ${i}: unknown transform "${name}" in "${field}"`);
+      }
+    }
+  }
+
+  /**
+   * Turn a transform spec into a function with the transform signature.
+   * When `fromInput` is true the first step receives the rule input: a
+   * function step gets it as is, like a plain transform, and a named step
+   * gets the single source value (or the named input object when the rule
+   * has several sources). Inverse transforms start from the value itself.
+   * Every later step receives the previous step's result. Failures in an
+   * array pipeline are reported with the failing step.
+   */
+  _compileTransform(spec, fromInput) {
+    if (spec === undefined || spec === null) return undefined;
+    if (typeof spec === 'function') return spec;
+
+    const steps = (Array.isArray(spec) ? spec : [spec]).map((step, idx) => {
+      if (typeof step === 'function') {
+        return { name: step.name || 'anonymous', call: step };
+      }
+      const name = typeof step === 'string' ? step : step.name;
+      const fn = this.transforms.get(name);
+      const args = step.args || [];
+      const fromRuleInput = fromInput && idx === 0;
+      return {
+        name,
+        call: (value, ctx) => fn(fromRuleInput ? this._stepInput(value) : value, args, ctx),
+      };
+    });
+    return (value, ctx) => runSteps(steps, value, ctx, Array.isArray(spec));
+  }
+
+  _stepInput(input) {
+    const keys = Object.keys(input);
+    return keys.length === 1 ? input[keys[0]] : input;
+  }
+
+  /**
+   * Output paths a rule reads: "$out" selectors in its sources and
+   * declarative "when" condition, plus its "dependsOn" targets.
+   */
+  _outputReads(rule) {
+    const paths = Object.values(rule.sources).concat(this._conditionPaths(rule.when));
+    const reads = paths.map(p => this._rootPath(p, OUTPUT_ROOT)).filter(p => p !== null);
+    return reads.concat((rule.dependsOn || []).map(d => {
+      const outputPath = this._rootPath(d, OUTPUT_ROOT);
+      return outputPath === null ? d : outputPath;
+    }));
+  }
+
+  _conditionPaths(cond) {
+    if (!cond || typeof cond !== 'object') return [];
+    if (cond.all || cond.any) return [].concat(...(cond.all || cond.any).map(c => this._conditionPaths(c)));
+    if (cond.not) return this._conditionPaths(cond.not);
+    return [cond.path];
+  }
+
+  /**
+   * True when one path is the other or contains it ('' is the whole output).
+   * Wildcard, filter and append segments match any segment.
+   */
+  _pathsOverlap(a, b) {
+    if (a === '' || b === '') return true;
+    const left = this.pathUtils.tokenize(a);
+    const right = this.pathUtils.tokenize(b);
+    const n = Math.min(left.length, right.length);
+    for (let i = 0; i < n; i++) {
+      const any = [left[i].type, right[i].type].some(t => t === 'wildcard' || t === 'filter' || t === 'append');
+      if (!any && String(left[i].value) !== String(right[i].value)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Whether two rules write (or, for "rename", move from) overlapping paths.
+   */
+  _touchesSamePath(rule, other) {
+    const paths = r => (r.action === 'rename' ? [r.target, r.from] : [r.target]);
+    return paths(rule).some(p => paths(other).some(q => this._pathsOverlap(p, q)));
+  }
+
+  /**
+   * Order rules by their output references. Returns levels of rules: each
+   * rule is in a later level than every rule whose target it reads, and
+   * rules keep their mapping order within a level. "unset" and "rename"
+   * rules also come after earlier rules on their paths, and before later ones.
+   *
+   * @throws {Error} For references no rule writes, and for cycles
+   */
+  _planLevels() {
+    const deps = this.mapping.map((rule, i) => {
+      const found = new Set();
+      // "unset" and "rename" change what earlier rules wrote, so they keep
+      // their mapping order relative to every rule on the same paths
+      this.mapping.slice(0, i)
+        .filter(other => (isAction(rule) || isAction(other)) && this._touchesSamePath(rule, other))
+        .forEach(other => found.add(other.__index));
+      for (const read of this._outputReads(rule)) {
+        if (read !== '' && this._pathsOverlap(read, rule.target)) {
+          throw new Error(`Rule at index ${rule.__index}: circular output reference: "${rule.target}" reads itself`);
+        }
+        const writers = this.mapping.filter(other => other !== rule && this._pathsOverlap(read, other.target));
+        if (writers.length === 0 && read !== '') {
+          throw new Error(`Rule at index ${rule.__index}: output reference "${read}" does not match the target of any rule`);
+        }
+        writers.forEach(w => found.add(w.__index));
+      }
+      return [...found];
+    });
+
+    const depth = new Array(this.mapping.length);
+    const visit = (i, trail) => {
+      if (depth[i] !== undefined) return depth[i];
+      if (trail.includes(i)) {
+        const cycle = trail.slice(trail.indexOf(i)).concat(i).map(j => `"${this.mapping[j].target}"`);
+        throw new Error(`Rule at index ${i}: circular output reference: ${cycle.join(' -> ')}`);
+      }
+      const d = deps[i].reduce((max, j) => Math.max(max, visit(j, trail.concat(i)) + 1), 0);
+      depth[i] = d;
+      return d;
+    };
+
+    const levels = [];
+    this.mapping.forEach((rule, i) => {
+      const d = visit(i, []);
+      (levels[d] = levels[d] || []).push(rule);
+    });
+    return levels;
+  }
+
+  /**
+   * Build the nested mapper used to map every element of an "each" rule.
+   */
+  _createEachMapper(rules, idx) {
+    try {
+      return new DataMapper(rules, { ...this.options, transforms: this.transforms });
+    } catch (err) {
+      throw new Error(`Rule at index ${idx}: invalid "each" mapping: ${err.message}`);
     }
   }
 
@@ -71,7 +529,7 @@ class DataMapper {
    * - If rule.sources is an object: returns object {key: value}.
    * - If only rule.source (string): returns single value.
    */
-  _buildTransformInput(sourceObj, rule) {
+  _buildTransformInput(ctx, rule) {
     if (!rule.sources || typeof rule.sources !== 'object' || Array.isArray(rule.sources)) {
       throw new Error(
         `Rule at target "${rule.target}": "sources" must be an object. ` +
@@ -81,66 +539,1062 @@ class DataMapper {
 
     const input = {};
     for (const [key, path] of Object.entries(rule.sources)) {
-      input[key] = this.extractor.extract(sourceObj, path);
+      input[key] = this._read(ctx, path);
     }
     return input;
   }
 
-  _applyDefaultIfNeeded(value, rule) {
-    if ((value === undefined || value === null) && 'default' in rule) {
-      return typeof rule.default === 'function' ? rule.default() : rule.default;
+  /**
+   * With "strictSource" (on the rule, or else the mapper option), fail when
+   * a source selector names a path that does not exist in the source, so
+   * that a typo is not silently read as undefined. "$out" and "$vars"
+   * selectors are not checked.
+   */
+  _checkSourcePaths(ctx, rule) {
+    const strict = rule.strictSource !== undefined ? rule.strictSource : this.options.strictSource;
+    if (!strict) return;
+    for (const path of Object.values(rule.sources)) {
+      if (this._rootPath(path, OUTPUT_ROOT) !== null || this._rootPath(path, VARS_ROOT) !== null) continue;
+      const missing = this.extractor.findMissingSegment(ctx.source, path);
+      if (missing) {
+        const where = missing.parent ? `in "${missing.parent}"` : 'at the source root';
+        throw new MissingSourceError(
+          `Source path "${path}" does not exist: no "${missing.segment}" ${where}`,
+          { selector: path, segment: missing.segment }
+        );
+      }
+    }
+  }
+
+  /**
+   * Read a selector: from the output built so far when it starts with
+   * "$out", from the caller's variables for "$vars", otherwise from the
+   * source.
+   */
+  _read(ctx, path) {
+    const outputPath = this._rootPath(path, OUTPUT_ROOT);
+    if (outputPath !== null) return this.extractor.extract(ctx.output, outputPath);
+    const varsPath = this._rootPath(path, VARS_ROOT);
+    if (varsPath !== null) return this.extractor.extract(ctx.vars, varsPath);
+    return this.extractor.extract(ctx.source, path);
+  }
+
+  /**
+   * The path below `root` a selector such as "$out.a.b" refers to ('' for
+   * the root itself), or null when the selector does not start with root.
+   */
+  _rootPath(path, root) {
+    if (typeof path !== 'string' || !path.startsWith(root)) return null;
+    const rest = path.slice(root.length);
+    if (rest === '') return '';
+    if (rest[0] === '.') return rest.slice(1);
+    return rest[0] === '[' ? rest : null;
+  }
+
+  /**
+   * Evaluate a rule's "when" condition. Functions get the same
+   * (input, ctx) arguments as transforms and may return a Promise
+   * (awaited by transformAsync only).
+   */
+  _evaluateWhen(rule, input, ctx) {
+    if (rule.when === undefined) return true;
+    if (typeof rule.when === 'function') {
+      return rule.when(input, ctx);
+    }
+    return this._matchesCondition(rule.when, ctx);
+  }
+
+  _matchesCondition(cond, ctx) {
+    if (cond.all) return cond.all.every(c => this._matchesCondition(c, ctx));
+    if (cond.any) return cond.any.some(c => this._matchesCondition(c, ctx));
+    if (cond.not) return !this._matchesCondition(cond.not, ctx);
+
+    const value = this._read(ctx, cond.path);
+    if ('equals' in cond) return value === cond.equals;
+    if ('notEquals' in cond) return value !== cond.notEquals;
+    if ('in' in cond) return cond.in.includes(value);
+    return (value !== undefined && value !== null) === Boolean(cond.exists);
+  }
+
+  /**
+   * Whether a value counts as absent for a rule: 'missing' (undefined, or
+   * null / empty under a 'missing' policy), 'omit' (null / empty under an
+   * 'omit' policy) or null when it is a value to validate and write.
+   */
+  _absence(value, rule) {
+    if (value === undefined) return 'missing';
+    let policy = 'value';
+    if (value === null) {
+      policy = this._policy(rule, 'nullPolicy');
+    } else if (value === '' || (Array.isArray(value) && value.length === 0)) {
+      policy = this._policy(rule, 'emptyPolicy');
+    }
+    return policy === 'value' ? null : policy;
+  }
+
+  /**
+   * The rule's own nullPolicy / emptyPolicy, else the mapper's, else the default.
+   */
+  _policy(rule, name) {
+    if (rule[name] !== undefined) return rule[name];
+    return this.options[name] !== undefined ? this.options[name] : DEFAULT_POLICIES[name];
+  }
+
+  _applyDefaultIfNeeded(value, absence, rule, ctx) {
+    if (absence === 'missing' && 'default' in rule) {
+      return typeof rule.default === 'function' ? rule.default(ctx) : rule.default;
     }
     return value;
   }
 
+  /**
+   * Check a value against the rule's type and constraints. A null kept by
+   * nullPolicy 'value' is written as is: it clears the target field.
+   */
   _validateIfNeeded(value, rule) {
     if (!rule.type) return;
+    if (value === null && rule.type !== 'null' && this._policy(rule, 'nullPolicy') === 'value') return;
     const validator = this.validatorFactory.getValidator(rule.type);
     validator.validate(value, rule);
   }
 
-  transform(sourceObj) {
-    const output = {};
+  /**
+   * Map every element of an array value through the rule's nested mapper.
+   * Element errors are reported at "<target>[<index>].<child target>".
+   */
+  _mapEach(value, rule, prefix, errors, vars, step) {
+    if (!this._assertEachArray(value)) return value;
+    return value.map((element, i) => {
+      const itemTrace = step ? [] : undefined;
+      if (step) step.items.push(itemTrace);
+      return rule.__each._transformAt(element, `${prefix}${rule.target}[${i}].`, errors, vars, itemTrace);
+    });
+  }
+
+  /**
+   * Async counterpart of _mapEach. Elements are mapped one after another.
+   */
+  async _mapEachAsync(value, rule, prefix, errors, options) {
+    if (!this._assertEachArray(value)) return value;
+    const mapped = [];
+    for (let i = 0; i < value.length; i++) {
+      mapped.push(await rule.__each._transformAtAsync(value[i], `${prefix}${rule.target}[${i}].`, errors, options));
+    }
+    return mapped;
+  }
+
+  /**
+   * Returns true when value is an array to map, false when it is null or
+   * undefined; throws for anything else.
+   */
+  _assertEachArray(value) {
+    if (value === undefined || value === null) return false;
+    if (!Array.isArray(value)) {
+      const t = typeof value;
+      throw new ValidationError(`"each" requires an array value but got ${t}`, {
+        constraint: 'each',
+        value,
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Map sourceObj to a new output object.
+   *
+   * By default the first failing rule throws. With `{ collectErrors: true }`
+   * every rule runs and the result is `{ output, errors }`, where output holds
+   * the fields that mapped successfully and errors holds one entry per
+   * failing rule: { target, ruleIndex, code, sources, message, error }.
+   *
+   * @throws {MappingError} In the default mode, for the first failing rule
+   *
+   * @param {*} sourceObj
+   * @param {Object} [options]
+   * @param {boolean} [options.collectErrors=false]
+   * @param {Object} [options.vars] - Values for "$vars" selectors and ctx.vars
+   */
+  transform(sourceObj, options = {}) {
+    const vars = this._checkVars(options.vars);
+    if (options.collectErrors) {
+      const errors = [];
+      const output = this._transformAt(sourceObj, '', errors, vars);
+      return { output, errors };
+    }
+    return this._transformAt(sourceObj, '', undefined, vars);
+  }
+
+  /**
+   * Map sourceObj onto a copy of an existing document instead of an empty
+   * object, e.g. to build a partial update of a record you already hold.
+   * "set" rules add or replace fields of the copy, and "unset" and "rename"
+   * rules change the fields it already has. existingTarget is not modified;
+   * plain objects and arrays in it are copied, other values are shared.
+   *
+   * @param {*} sourceObj
+   * @param {Object} existingTarget
+   * @param {Object} [options] - Same as transform()
+   * @param {boolean} [options.collectErrors=false]
+   * @param {Object} [options.vars]
+   */
+  apply(sourceObj, existingTarget, options = {}) {
+    if (!isPlainObject(existingTarget)) {
+      throw new Error('"existingTarget" must be an object');
+    }
+    const vars = this._checkVars(options.vars);
+    const base = cloneDeep(existingTarget);
+    if (options.collectErrors) {
+      const errors = [];
+      const output = this._transformAt(sourceObj, '', errors, vars, undefined, base);
+      return { output, errors };
+    }
+    return this._transformAt(sourceObj, '', undefined, vars, undefined, base);
+  }
+
+  /**
+   * Map sourceObj like transform({ collectErrors: true }) and also report,
+   * per rule in execution order, how its value was produced:
+   *
+   *   { target, ruleIndex, selectors, status, input, transformed, lookedUp,
+   *     defaultApplied, constraints, value, error, items, durationMs }
+   *
+   * status is 'written', 'unset' (no value, nothing written), 'skipped'
+   * ("when" was false) or 'failed' (error is { code, message }).
+   * transformed is the transform result (or the passthrough value),
+   * lookedUp the value after "lookup", constraints the validations checked
+   * and value the final value. For "each" rules, items holds the trace of
+   * every element.
+   *
+   * @param {*} sourceObj
+   * @param {Object} [options]
+   * @param {Object} [options.vars]
+   * @returns {{ output: *, errors: Object[], trace: Object[] }}
+   */
+  explain(sourceObj, options = {}) {
+    const vars = this._checkVars(options.vars);
+    const errors = [];
+    const trace = [];
+    const output = this._transformAt(sourceObj, '', errors, vars, trace);
+    return { output, errors, trace };
+  }
+
+  /**
+   * Report how the mapping's selectors cover sourceObj:
+   * - unreadPaths: leaf paths of sourceObj (e.g. "caller.u_region",
+   *   "lines[1].sku") that no selector reads. Reading a parent path reads
+   *   every leaf below it.
+   * - unmatchedSelectors: { target, ruleIndex, key, selector } for every
+   *   source selector (key is its name in `sources`, or "when" for
+   *   condition paths) that matches nothing in sourceObj.
+   *
+   * Coverage is based on the selectors only: transforms and conditions are
+   * not run, and fields a transform reads through ctx.source are not seen.
+   * Fields compared by a filter predicate count as read in every element
+   * the filter tests.
+   * "each" rules without a transform are followed into every element, and
+   * nested selectors are reported with targets like "lines[].amount".
+   * "$out" and "$vars" selectors are ignored.
+   *
+   * @param {*} sourceObj
+   * @returns {{ unreadPaths: string[], unmatchedSelectors: Object[] }}
+   */
+  coverage(sourceObj) {
+    const reads = [];
+    const selectors = new Map();
+    const matched = new Set();
+    this._collectCoverage(sourceObj, [], '', { reads, selectors, matched });
+
+    const unreadPaths = leafPaths(sourceObj, [])
+      .filter(leaf => !reads.some(read => isKeyPrefix(read, leaf)))
+      .map(formatPath);
+    const unmatchedSelectors = [...selectors.keys()]
+      .filter(id => !matched.has(id))
+      .map(id => selectors.get(id));
+    return { unreadPaths, unmatchedSelectors };
+  }
+
+  /**
+   * Record the source locations read by every selector of this mapper.
+   * `base` is the location of sourceObj within the root source; `report`
+   * collects the read locations and every selector, by id, with the ids
+   * that matched.
+   */
+  _collectCoverage(sourceObj, base, prefix, report) {
     for (const rule of this.mapping) {
-      try {
-        // Build input for transform
-        const input = this._buildTransformInput(sourceObj, rule);
-
-        // Apply transform or direct mapping
-        let value;
-        if (typeof rule.transform === 'function') {
-          value = rule.transform(input, { source: sourceObj }); // LOCKED CONTRACT
-        } else {
-          // Direct mapping only for single source
-          const keys = Object.keys(input);
-          if (keys.length > 1) {
-            throw new Error(`Direct mapping requires exactly one source field`);
+      const paths = Object.entries(rule.sources)
+        .concat(this._conditionPaths(rule.when).map(path => ['when', path]));
+
+      for (const [key, selector] of paths) {
+        if (this._rootPath(selector, OUTPUT_ROOT) !== null || this._rootPath(selector, VARS_ROOT) !== null) continue;
+
+        const id = `${prefix}${rule.target}|${key}|${selector}`;
+        if (!report.selectors.has(id)) {
+          report.selectors.set(id, { target: `${prefix}${rule.target}`, ruleIndex: rule.__index, key, selector });
+        }
+        const tested = [];
+        const locations = this.extractor.locate(sourceObj, selector, tested);
+        if (locations.length > 0) report.matched.add(id);
+        tested.forEach(location => report.reads.push(base.concat(location)));
+
+        const followEach = rule.__each && !rule.__transform && key !== 'when';
+        for (const location of locations) {
+          const value = location.reduce((cur, k) => cur[k], sourceObj);
+          if (followEach && Array.isArray(value)) {
+            value.forEach((element, i) => {
+              rule.__each._collectCoverage(element, base.concat(location, i), `${prefix}${rule.target}[].`, report);
+            });
+          } else {
+            report.reads.push(base.concat(location));
           }
-          value = input[keys[0]];
         }
+      }
+    }
+  }
+
+  /**
+   * Like transform, but awaits promises returned by `transform` and
+   * `default` functions. Rule values are computed with at most
+   * `options.concurrency` rules in flight (default 1, i.e. one at a time)
+   * and are always written to the output in the same order as transform(),
+   * so the results match. Rules reading "$out" start only after the rules
+   * they depend on are written. In the default mode the error reported is
+   * the one from the first failing rule in that order.
+   *
+   * @param {*} sourceObj
+   * @param {Object} [options]
+   * @param {boolean} [options.collectErrors=false]
+   * @param {number} [options.concurrency=1]
+   * @param {Object} [options.vars] - Values for "$vars" selectors and ctx.vars
+   * @returns {Promise<*>}
+   */
+  async transformAsync(sourceObj, options = {}) {
+    const concurrency = options.concurrency === undefined ? 1 : options.concurrency;
+    if (typeof concurrency !== 'number' || !(concurrency >= 1)) {
+      throw new Error('"concurrency" must be a number greater than or equal to 1');
+    }
+    const opts = { ...options, concurrency, vars: this._checkVars(options.vars) };
+
+    if (opts.collectErrors) {
+      const errors = [];
+      const output = await this._transformAtAsync(sourceObj, '', errors, opts);
+      return { output, errors };
+    }
+    return this._transformAtAsync(sourceObj, '', undefined, opts);
+  }
+
+  /**
+   * Mapping variables are a plain object, {} when not given.
+   */
+  _checkVars(vars) {
+    if (vars === undefined) return {};
+    if (!vars || typeof vars !== 'object' || Array.isArray(vars)) {
+      throw new Error('"vars" must be an object');
+    }
+    return vars;
+  }
 
-        // Required check (AFTER getting the value)
-        if (rule.required && (value === undefined || value === null)) {
-          throw new Error(`Field "${rule.target || '<unknown>'}" is required`);
+  /**
+   * The context every transform, condition and default function of one
+   * mapping run receives: { source, output, vars, now, uuid }.
+   */
+  _createContext(sourceObj, vars, output) {
+    return {
+      source: sourceObj,
+      output: output || {},
+      vars,
+      now: () => this._now(),
+      uuid: () => this.idGenerator(),
+    };
+  }
+
+  /**
+   * Current time from the clock, as a new Date.
+   */
+  _now() {
+    const time = this.clock();
+    const date = new Date(time instanceof Date ? time.getTime() : time);
+    if ((typeof time !== 'number' && !(time instanceof Date)) || Number.isNaN(date.getTime())) {
+      throw new Error('"clock" must return a Date or epoch milliseconds');
+    }
+    return date;
+  }
+
+  /**
+   * Run all rules against sourceObj. `prefix` is prepended to targets in
+   * error messages when this mapper is nested inside an "each" rule.
+   * When `errors` is an array, failures are appended to it instead of thrown.
+   */
+  _transformAt(sourceObj, prefix, errors, vars, trace, base) {
+    const ctx = this._createContext(sourceObj, vars, base);
+    const output = ctx.output;
+    for (const level of this.levels) {
+      for (const rule of level) {
+        const step = trace ? this._startTraceStep(rule, prefix, trace) : undefined;
+        const started = step ? preciseNow() : 0;
+        try {
+          let value;
+          if (isAction(rule)) {
+            value = this._ruleInput(ctx, rule, step) ? this._applyAction(output, rule, step) : undefined;
+          } else {
+            value = this._writeValue(output, rule, this._resolveRule(ctx, rule, prefix, errors, step));
+            if (step) step.value = value === KEPT_EXISTING ? this.extractor.extract(output, rule.target) : value;
+          }
+          if (step) this._finishTraceStep(step, started, value);
+        } catch (err) {
+          const wrapped = this._handleRuleError(err, rule, prefix, errors);
+          if (step) this._finishTraceStep(step, started, undefined, wrapped);
         }
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Append the trace entry of a rule that is about to run.
+   */
+  _startTraceStep(rule, prefix, trace) {
+    const step = {
+      target: `${prefix}${rule.target}`,
+      ruleIndex: rule.__index,
+      selectors: { ...rule.sources },
+      status: undefined,
+      input: undefined,
+      transformed: undefined,
+      lookedUp: undefined,
+      defaultApplied: false,
+      constraints: [],
+      value: undefined,
+      error: undefined,
+      items: rule.__each ? [] : undefined,
+      durationMs: 0,
+    };
+    trace.push(step);
+    return step;
+  }
+
+  _finishTraceStep(step, started, value, error) {
+    step.durationMs = preciseNow() - started;
+    if (error) {
+      step.status = 'failed';
+      step.error = { code: error.code, message: error.message };
+    } else if (value === KEPT_EXISTING) {
+      step.status = 'kept';
+    } else if (step.status !== 'skipped') {
+      step.status = value === undefined ? 'unset' : 'written';
+    }
+  }
 
-        // Apply default if needed
-        value = this._applyDefaultIfNeeded(value, rule);
+  /**
+   * The validation constraints a rule's value is checked against.
+   */
+  _constraintsOf(rule) {
+    const constraints = rule.type ? ['type'] : [];
+    return constraints.concat(VALIDATION_CONSTRAINTS.filter(c => rule[c] !== undefined));
+  }
 
-        // Validate if specified
-        this._validateIfNeeded(value, rule);
+  /**
+   * Async counterpart of _transformAt. Rules of one level run concurrently;
+   * a level starts once the values of the previous one are written.
+   */
+  async _transformAtAsync(sourceObj, prefix, errors, options) {
+    const ctx = this._createContext(sourceObj, options.vars);
+    const output = ctx.output;
+    for (const level of this.levels) {
+      const results = await settleWithConcurrency(
+        level,
+        options.concurrency,
+        (rule) => this._resolveRuleAsync(ctx, rule, prefix, errors, options),
+        !errors
+      );
 
-        // Finally set on output (skip undefined to avoid creating keys)
-        if (value !== undefined) {
-          this.setter.set(output, rule.target, value);
+      level.forEach((rule, i) => {
+        try {
+          if (results[i].error) throw results[i].error;
+          if (!isAction(rule)) {
+            this._writeValue(output, rule, results[i].value);
+          } else if (results[i].value) {
+            this._applyAction(output, rule);
+          }
+        } catch (err) {
+          this._handleRuleError(err, rule, prefix, errors);
         }
+      });
+    }
+    return output;
+  }
+
+  /**
+   * Compute the final value of a rule: input, "when" condition, strict
+   * source check, transform, lookup, default, required check, nested "each"
+   * mapping and validation. Returns undefined (nothing is written) when the
+   * condition is false or no value is left after the default.
+   * `ctx` is the transform context: { source, output, vars, now, uuid }.
+   * When `step` is given (explain), each stage is recorded on it.
+   */
+  _resolveRule(ctx, rule, prefix, errors, step) {
+    // Skip the rule entirely, including required checks, if "when" is false
+    const input = this._ruleInput(ctx, rule, step);
+    if (!input) return undefined;
+
+    // Apply transform or direct mapping
+    let value;
+    if (rule.__transform) {
+      try {
+        value = rule.__transform(input, ctx); // LOCKED CONTRACT: (input, { source, ... })
       } catch (err) {
-        const tgt = rule && rule.target ? rule.target : '<unknown>';
-        throw new Error(`Transformation failed at field "${tgt}": ${err.message}`);
+        throw this._transformError(err, rule, prefix);
       }
+      this._assertNotPromise(value, 'transform');
+    } else {
+      value = this._directValue(input);
     }
-    return output;
+    if (step) step.transformed = value;
+
+    // Translate the value through the rule's lookup table
+    value = this._applyLookup(value, rule);
+    if (step && rule.lookup) step.lookedUp = value;
+
+    // Apply default if needed; null and empty values count as missing or
+    // not according to nullPolicy and emptyPolicy
+    const absence = this._absence(value, rule);
+    if (step) step.defaultApplied = absence === 'missing' && 'default' in rule;
+    value = this._applyDefaultIfNeeded(value, absence, rule, ctx);
+    this._assertNotPromise(value, 'default');
+
+    // Required check (AFTER defaults); values that are still absent are
+    // neither validated nor written
+    const stillAbsent = this._absence(value, rule);
+    this._checkRequired(value, stillAbsent, rule);
+    if (stillAbsent) {
+      if (step) step.value = undefined;
+      return undefined;
+    }
+
+    // Map array elements through nested rules
+    if (rule.__each) {
+      value = this._mapEach(value, rule, prefix, errors, ctx.vars, step);
+    }
+
+    // Validate if specified
+    if (step) step.constraints = this._constraintsOf(rule);
+    this._validateIfNeeded(value, rule);
+    if (step) step.value = value;
+    return value;
+  }
+
+  /**
+   * Build the input of a rule and check its "when" condition and strict
+   * source paths. Returns undefined when the condition is false.
+   */
+  _ruleInput(ctx, rule, step) {
+    const input = this._buildTransformInput(ctx, rule);
+    if (step) step.input = input;
+
+    const applies = this._evaluateWhen(rule, input, ctx);
+    this._assertNotPromise(applies, 'when');
+    if (!applies) {
+      if (step) step.status = 'skipped';
+      return undefined;
+    }
+    this._checkSourcePaths(ctx, rule);
+    return input;
+  }
+
+  /**
+   * Delete the target of an "unset" rule, or move the value at "from" to
+   * the target of a "rename" rule. Returns the moved value, or undefined
+   * when nothing was moved.
+   */
+  _applyAction(output, rule, step) {
+    if (rule.action === 'unset') {
+      this.setter.unset(output, rule.target);
+      return undefined;
+    }
+    const value = this.extractor.extract(output, rule.from);
+    if (value === undefined) return undefined;
+    this.setter.unset(output, rule.from);
+    this.setter.set(output, rule.target, value);
+    if (step) step.value = value;
+    return value;
+  }
+
+  /**
+   * Async counterpart of _resolveRule; awaits transform and default.
+   * For "unset" and "rename" rules it only reports whether the rule
+   * applies; the action runs when outputs are written, in rule order.
+   */
+  async _resolveRuleAsync(ctx, rule, prefix, errors, options) {
+    const input = this._buildTransformInput(ctx, rule);
+
+    if (!(await this._evaluateWhen(rule, input, ctx))) return undefined;
+    this._checkSourcePaths(ctx, rule);
+    if (isAction(rule)) return true;
+
+    let value;
+    if (rule.__transform) {
+      try {
+        value = await rule.__transform(input, ctx); // LOCKED CONTRACT: (input, { source, ... })
+      } catch (err) {
+        throw this._transformError(err, rule, prefix);
+      }
+    } else {
+      value = this._directValue(input);
+    }
+
+    value = this._applyLookup(value, rule);
+
+    value = await this._applyDefaultIfNeeded(value, this._absence(value, rule), rule, ctx);
+
+    const stillAbsent = this._absence(value, rule);
+    this._checkRequired(value, stillAbsent, rule);
+    if (stillAbsent) return undefined;
+
+    if (rule.__each) {
+      value = await this._mapEachAsync(value, rule, prefix, errors, options);
+    }
+
+    this._validateIfNeeded(value, rule);
+    return value;
+  }
+
+  _directValue(input) {
+    // Direct mapping only for single source
+    const keys = Object.keys(input);
+    if (keys.length > 1) {
+      throw new MappingError(`Direct mapping requires exactly one source field`, { code: 'INVALID_RULE' });
+    }
+    return input[keys[0]];
+  }
+
+  /**
+   * Look the value up by its string form. Missing values pass through so
+   * that "default" and "required" apply; other values without an entry
+   * become "lookupDefault" (or undefined), or fail with "lookupStrict".
+   */
+  _applyLookup(value, rule) {
+    if (!rule.lookup || value === undefined || value === null) return value;
+
+    const key = String(value);
+    if (Object.prototype.hasOwnProperty.call(rule.lookup, key)) return rule.lookup[key];
+    if (rule.lookupStrict) {
+      throw new ValidationError(`Value "${key}" has no entry in "lookup"`, { constraint: 'lookupStrict', value });
+    }
+    return rule.lookupDefault;
+  }
+
+  /**
+   * Find the lookup key whose entry is `value`, for reverse().
+   */
+  _reverseLookup(value, rule) {
+    const key = Object.keys(rule.lookup).find(k => rule.lookup[k] === value);
+    if (key === undefined && rule.lookupStrict) {
+      throw new ValidationError(`Value "${value}" is not a "lookup" result`, { constraint: 'lookupStrict', value });
+    }
+    return key;
+  }
+
+  _checkRequired(value, absence, rule) {
+    if (rule.required && absence) {
+      throw new RequiredFieldError(`Field "${rule.target || '<unknown>'}" is required`, { value });
+    }
+  }
+
+  _assertNotPromise(value, what) {
+    if (value && typeof value.then === 'function') {
+      // The caller only sees the MappingError; settle the dropped promise
+      // so a later rejection does not surface as an unhandled rejection.
+      Promise.resolve(value).catch(() => {});
+      throw new MappingError(
+        `"${what}" returned a Promise; use transformAsync() for asynchronous rules`,
+        { code: 'INVALID_RULE', constraint: what }
+      );
+    }
+  }
+
+  /**
+   * Write a rule's value according to its "merge" strategy.
+   *
+   * @returns {*} The value written to the target (the merged value for
+   *   "deep-merge" and "append"), undefined when nothing was written, or
+   *   KEPT_EXISTING when "first-wins" kept the value already there
+   */
+  _writeValue(output, rule, value) {
+    // Skip undefined to avoid creating keys
+    if (value === undefined) return undefined;
+    if (rule.merge === undefined || rule.merge === 'overwrite') {
+      this.setter.set(output, rule.target, value);
+      return value;
+    }
+    const existing = this.extractor.extract(output, rule.target);
+    if (existing !== undefined && rule.merge === 'first-wins') return KEPT_EXISTING;
+    if (existing !== undefined && rule.merge === 'error-on-conflict') {
+      throw new MappingError(`Target "${rule.target}" already has a value`, {
+        code: 'TARGET_CONFLICT', constraint: 'merge', value,
+      });
+    }
+    let merged = value;
+    if (rule.merge === 'deep-merge') merged = deepMerge(existing, value);
+    if (rule.merge === 'append') merged = [].concat(existing === undefined ? [] : existing, value);
+    this.setter.set(output, rule.target, merged);
+    return merged;
+  }
+
+  /**
+   * Errors thrown by a transform become TransformErrors, unless the
+   * transform threw a MappingError itself.
+   */
+  _transformError(err, rule, prefix, action) {
+    if (err instanceof PipelineStepError && err.cause instanceof MappingError) {
+      return this._wrapError(err, rule, prefix, undefined, action);
+    }
+    if (err instanceof MappingError) return err;
+    return this._wrapError(err, rule, prefix, TransformError, action);
+  }
+
+  /**
+   * Throw the wrapped error, or record it when collecting errors.
+   */
+  _handleRuleError(err, rule, prefix, errors) {
+    const wrapped = this._wrapError(err, rule, prefix);
+    if (!errors) throw wrapped;
+    errors.push({
+      target: wrapped.target,
+      ruleIndex: rule.__index,
+      code: wrapped.code,
+      sources: { ...rule.sources },
+      message: wrapped.message,
+      error: wrapped.cause,
+    });
+    return wrapped;
+  }
+
+  /**
+   * Create a mapper from a JSON mapping definition: a JSON string or an
+   * already parsed value. The definition is either an array of rules or an
+   * object with a "mapping" array. Transforms are referred to by name and
+   * resolved from `options.transforms`.
+   *
+   * @param {string|Object[]|Object} json
+   * @param {Object} [options] - Same as the constructor
+   * @returns {DataMapper}
+   */
+  static fromJSON(json, options) {
+    let definition = json;
+    if (typeof json === 'string') {
+      try {
+        definition = JSON.parse(json);
+      } catch (err) {
+        throw new Error(`Invalid JSON mapping: ${err.message}`);
+      }
+    }
+    return new DataMapper(mappingFromDefinition(definition), options);
+  }
+
+  /**
+   * Create a mapper from a YAML mapping definition (same shape as fromJSON).
+   * Only the YAML subset described in yaml-parser.js is supported.
+   *
+   * @param {string} yaml
+   * @param {Object} [options] - Same as the constructor
+   * @returns {DataMapper}
+   */
+  static fromYAML(yaml, options) {
+    return new DataMapper(mappingFromDefinition(new YamlParser().parse(yaml)), options);
+  }
+
+  /**
+   * Map an output object back to the source shape using the same rules:
+   * each rule's `target` is read from outputObj and written to the paths in
+   * its `sources`. Rules with a `transform` need an `inverseTransform`
+   * `(value, { source }) => input` (source is outputObj); for rules with
+   * several sources it must return an object keyed like `sources`.
+   * Rules with `reversible: false` are skipped, as are targets missing from
+   * outputObj. `each` rules reverse every element through their nested rules,
+   * and `lookup` tables are inverted (the recovered keys are strings).
+   * Defaults, `when`, `required` and validation do not apply.
+   *
+   * @param {Object} outputObj
+   * @returns {Object}
+   * @throws {MappingError} NOT_REVERSIBLE if a rule cannot be reversed
+   */
+  reverse(outputObj) {
+    this._assertReversible('');
+    return this._reverseAt(outputObj, '');
+  }
+
+  /**
+   * Check every rule (including nested "each" rules) before reversing.
+   */
+  _assertReversible(prefix) {
+    for (const rule of this.mapping) {
+      if (rule.reversible === false || isAction(rule)) continue;
+      const tgt = `${prefix}${rule.target}`;
+      const fail = (reason) => new MappingError(
+        `Rule at index ${rule.__index} (target "${tgt}") cannot be reversed: ${reason}`,
+        { code: 'NOT_REVERSIBLE', target: tgt, ruleIndex: rule.__index }
+      );
+
+      if (rule.__transform && !rule.__inverse) {
+        throw fail('it has a "transform" but no "inverseTransform" (set "reversible: false" to skip it)');
+      }
+      if (this.pathUtils.tokenize(rule.target).some(token => token.type === 'append')) {
+        throw fail('its target appends to an array');
+      }
+      for (const path of Object.values(rule.sources)) {
+        const writable = path && path !== '$' &&
+          this._rootPath(path, OUTPUT_ROOT) === null && this._rootPath(path, VARS_ROOT) === null &&
+          this.pathUtils.tokenize(path).every(token => token.type === 'property' || token.type === 'index');
+        if (!writable) {
+          throw fail(`source selector "${path}" cannot be used as a destination`);
+        }
+      }
+      if (rule.lookup) {
+        const results = Object.values(rule.lookup);
+        if (new Set(results).size !== results.length) {
+          throw fail('its "lookup" maps several keys to the same value');
+        }
+      }
+      if (rule.__each) {
+        rule.__each._assertReversible(`${tgt}[].`);
+      }
+    }
+  }
+
+  _reverseAt(outputObj, prefix) {
+    const result = {};
+    for (const rule of this.mapping) {
+      if (rule.reversible === false || isAction(rule)) continue;
+      try {
+        this._reverseRule(outputObj, rule, result, prefix);
+      } catch (err) {
+        throw this._wrapError(err, rule, prefix, undefined, 'Reverse transformation');
+      }
+    }
+    return result;
+  }
+
+  _reverseRule(outputObj, rule, result, prefix) {
+    let value = this.extractor.extract(outputObj, rule.target);
+    if (value === undefined) return;
+
+    if (rule.__each && Array.isArray(value)) {
+      value = value.map((element, i) =>
+        rule.__each._reverseAt(element, `${prefix}${rule.target}[${i}].`)
+      );
+    }
+
+    if (rule.lookup) {
+      value = this._reverseLookup(value, rule);
+      if (value === undefined) return;
+    }
+
+    const entries = Object.entries(rule.sources);
+    if (rule.__inverse) {
+      try {
+        value = rule.__inverse(value, { source: outputObj });
+      } catch (err) {
+        throw this._transformError(err, rule, prefix, 'Reverse transformation');
+      }
+    }
+
+    if (entries.length === 1) {
+      if (value !== undefined) this.setter.set(result, entries[0][1], value);
+      return;
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new MappingError(
+        `"inverseTransform" must return an object with keys ${entries.map(([key]) => key).join(', ')}`,
+        { code: 'INVALID_RULE', constraint: 'inverseTransform', value }
+      );
+    }
+    for (const [key, path] of entries) {
+      if (value[key] !== undefined) this.setter.set(result, path, value[key]);
+    }
+  }
+
+  /**
+   * Wrap an error with the full target path and index of the failing rule.
+   * The result has the same class and code as `err` when it is a
+   * MappingError (or `ErrorClass` when given) and keeps `err` as its cause.
+   * Errors that already carry a target, e.g. from nested "each" rules,
+   * are returned unchanged.
+   */
+  _wrapError(err, rule, prefix, ErrorClass, action = 'Transformation') {
+    const step = err instanceof PipelineStepError ? err.step : undefined;
+    const cause = step ? err.cause : err;
+    const mapped = cause instanceof MappingError;
+    if (mapped && cause.target !== undefined) return cause;
+
+    const Cls = ErrorClass || (mapped ? cause.constructor : MappingError);
+    const tgt = rule && rule.target ? `${prefix}${rule.target}` : '<unknown>';
+    const where = step ? ` (step ${step.number}: ${step.name})` : '';
+    return new Cls(`${action} failed at field "${tgt}"${where}: ${cause.message}`, {
+      code: mapped ? cause.code : undefined,
+      target: tgt,
+      ruleIndex: rule ? rule.__index : undefined,
+      cause,
+      value: mapped ? cause.value : undefined,
+      constraint: mapped ? cause.constraint : undefined,
+      selector: mapped ? cause.selector : undefined,
+      segment: mapped ? cause.segment : undefined,
+      step,
+    });
+  }
+}
+
+/**
+ * Merge plain objects key by key into a new object; any other value
+ * replaces the existing one. Keys are defined rather than assigned, so a
+ * "__proto__" key stays an ordinary own property.
+ */
+function deepMerge(existing, value) {
+  if (!isPlainObject(existing) || !isPlainObject(value)) return value;
+  const merged = { ...existing };
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    const current = Object.prototype.hasOwnProperty.call(existing, key) ? existing[key] : undefined;
+    Object.defineProperty(merged, key, {
+      value: deepMerge(current, item), enumerable: true, writable: true, configurable: true,
+    });
+  }
+  return merged;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * True for "unset" and "rename" rules, which change the output instead of
+ * producing a value.
+ */
+function isAction(rule) {
+  return rule.action !== undefined && rule.action !== 'set';
+}
+
+/**
+ * Copy plain objects and arrays recursively; other values (dates, class
+ * instances) are shared.
+ */
+function cloneDeep(value) {
+  if (Array.isArray(value)) return value.map(cloneDeep);
+  if (!isPlainObject(value)) return value;
+  const proto = Object.getPrototypeOf(value);
+  if (proto !== Object.prototype && proto !== null) return value;
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    Object.defineProperty(copy, key, { value: cloneDeep(item), enumerable: true, writable: true, configurable: true });
+  }
+  return copy;
+}
+
+/**
+ * Key paths of every leaf in value: primitives, null, and empty arrays or
+ * objects.
+ */
+function leafPaths(value, keys) {
+  if (value === null || typeof value !== 'object') return keys.length > 0 ? [keys] : [];
+  const entries = Array.isArray(value) ? value.map((item, i) => [i, item]) : Object.entries(value);
+  if (entries.length === 0) return keys.length > 0 ? [keys] : [];
+  return [].concat(...entries.map(([key, item]) => leafPaths(item, keys.concat(key))));
+}
+
+function isKeyPrefix(prefix, keys) {
+  return prefix.length <= keys.length && prefix.every((key, i) => String(key) === String(keys[i]));
+}
+
+/**
+ * Selector for a key path: ['lines', 0, 'x-id'] -> "lines[0]['x-id']".
+ */
+function formatPath(keys) {
+  return keys.reduce((path, key) => {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) return path ? `${path}.${key}` : key;
+    return `${path}['${key.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}']`;
+  }, '');
+}
+
+/**
+ * High resolution milliseconds for explain() timings, where available.
+ */
+function preciseNow() {
+  return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+}
+
+/**
+ * Accept either an array of rules or { mapping: [...] }.
+ */
+function mappingFromDefinition(definition) {
+  if (definition && !Array.isArray(definition) && Array.isArray(definition.mapping)) {
+    return definition.mapping;
+  }
+  return definition;
+}
+
+/**
+ * Marks which step of a transform pipeline failed; DataMapper unwraps it
+ * into a TransformError whose message names the step.
+ */
+class PipelineStepError extends Error {
+  constructor(cause, index, name) {
+    super(cause && cause.message);
+    this.cause = cause;
+    this.step = { number: index + 1, name };
+  }
+}
+
+/**
+ * Apply transform steps left to right, starting at `start`. If a step
+ * returns a Promise, the remaining steps run once it resolves. With
+ * `annotate`, failures are wrapped in a PipelineStepError.
+ */
+function runSteps(steps, value, ctx, annotate, start = 0) {
+  let result = value;
+  for (let i = start; i < steps.length; i++) {
+    const failed = (err) => {
+      throw annotate ? new PipelineStepError(err, i, steps[i].name) : err;
+    };
+    try {
+      result = steps[i].call(result, ctx);
+    } catch (err) {
+      failed(err);
+    }
+    if (result && typeof result.then === 'function') {
+      return result.then(resolved => runSteps(steps, resolved, ctx, annotate, i + 1), failed);
+    }
+  }
+  return result;
+}
+
+/**
+ * Run `task` for every item with at most `limit` tasks in flight.
+ * Resolves to one { value } or { error } per item, in input order. With
+ * `stopOnError`, no new task starts after the first failure and the items
+ * that never started have no result.
+ */
+function settleWithConcurrency(items, limit, task, stopOnError) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (next < items.length && !(stopOnError && failed)) {
+      const i = next++;
+      try {
+        results[i] = { value: await task(items[i], i) };
+      } catch (error) {
+        results[i] = { error };
+        failed = true;
+      }
+    }
+  };
+
+  const workers = [];
+  for (let w = 0; w < Math.min(limit, items.length); w++) {
+    workers.push(worker());
   }
+  return Promise.all(workers).then(() => results);
 }
 
 module.exports = DataMapper;
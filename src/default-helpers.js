@@ -0,0 +1,58 @@
+// This file is part of MapperExp.
+//
+// MapperExp is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+//
+// MapperExp is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
+
+const builtinTransforms = require('./builtin-transforms');
+
+/**
+ * Helpers for rule `default` values that depend on time or identity.
+ * Each returns a `default` function reading the mapper's clock and ID
+ * generator from the context, so a mapper built with a fixed `clock` and
+ * `idGenerator` produces the same output on every run:
+ *
+ *   { target: 'createdAt', default: now() }
+ *   { target: 'openedOn', default: now('yyyy-MM-dd HH:mm:ss') }
+ *   { target: 'id', default: uuid() }
+ */
+
+/**
+ * @param {string} [pattern='iso'] - Same patterns as the formatDate transform
+ * @param {string|number} [offset='Z'] - Timezone offset of the result
+ * @returns {Function} (ctx) => formatted current time
+ */
+function now(pattern = 'iso', offset) {
+  return (ctx) => builtinTransforms.formatDate(ctx.now(), [pattern, offset], ctx);
+}
+
+/**
+ * @returns {Function} (ctx) => new ID from the mapper's idGenerator
+ */
+function uuid() {
+  return (ctx) => ctx.uuid();
+}
+
+/**
+ * Random RFC 4122 version 4 UUID; the default idGenerator.
+ */
+function randomUuid() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = Math.floor(Math.random() * 16);
+    return (c === 'x' ? r : (r % 4) + 8).toString(16);
+  });
+}
+
+// CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    now,
+    uuid,
+    randomUuid,
+  };
+}
@@ -0,0 +1,130 @@
+// This file is part of MapperExp.
+//
+// MapperExp is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+//
+// MapperExp is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Error classes raised while mapping.
+ *
+ * Every error carries a stable `code` callers can branch on. Validators and
+ * DataMapper fill in the remaining details where they are known:
+ * - target:     full target path of the failing rule (e.g. "lines[3].amount")
+ * - ruleIndex:  index of the failing rule in its mapping array
+ * - cause:      the underlying error, when this one wraps another
+ * - value:      the offending value
+ * - constraint: the rule property that failed (e.g. "type", "maxLength")
+ */
+
+/**
+ * Base class for all mapping errors.
+ *
+ * @class MappingError
+ */
+class MappingError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - { code, target, ruleIndex, cause, value, constraint }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = details.code || 'MAPPING_ERROR';
+    this.target = details.target;
+    this.ruleIndex = details.ruleIndex;
+    this.cause = details.cause;
+    this.value = details.value;
+    this.constraint = details.constraint;
+  }
+
+  /**
+   * Plain representation suitable for API error responses.
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      target: this.target,
+      ruleIndex: this.ruleIndex,
+      constraint: this.constraint,
+      value: this.value,
+    };
+  }
+}
+
+/**
+ * A value did not satisfy its rule's type or constraints.
+ *
+ * @class ValidationError
+ */
+class ValidationError extends MappingError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: details.code || 'VALIDATION_FAILED' });
+  }
+}
+
+/**
+ * A `required` rule produced null or undefined.
+ *
+ * @class RequiredFieldError
+ */
+class RequiredFieldError extends MappingError {
+  constructor(message, details = {}) {
+    super(message, {
+      ...details,
+      code: details.code || 'REQUIRED_FIELD_MISSING',
+      constraint: details.constraint || 'required',
+    });
+  }
+}
+
+/**
+ * A rule's `transform` function threw; the thrown error is kept as `cause`.
+ * When a step of a transform pipeline failed, `step` is
+ * { number, name } with the 1-based position and name of that step.
+ *
+ * @class TransformError
+ */
+class TransformError extends MappingError {
+  constructor(message, details = {}) {
+    super(message, {
+      ...details,
+      code: details.code || 'TRANSFORM_FAILED',
+      constraint: details.constraint || 'transform',
+    });
+    this.step = details.step;
+  }
+}
+
+/**
+ * A rule with `strictSource` selects a path that does not exist in the
+ * source. `selector` is the rule's source selector and `segment` the first
+ * segment of it that is missing.
+ *
+ * @class MissingSourceError
+ */
+class MissingSourceError extends MappingError {
+  constructor(message, details = {}) {
+    super(message, {
+      ...details,
+      code: details.code || 'SOURCE_PATH_MISSING',
+      constraint: details.constraint || 'strictSource',
+    });
+    this.selector = details.selector;
+    this.segment = details.segment;
+  }
+}
+
+// CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MappingError,
+    ValidationError,
+    RequiredFieldError,
+    TransformError,
+    MissingSourceError,
+  };
+}
@@ -0,0 +1,371 @@
+// This file is part of MapperExp.
+//
+// MapperExp is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+//
+// MapperExp is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * FilterExpression - Parse and evaluate selector filter predicates such as
+ * `type=='primary'` or `@.qty > 1 && !@.deleted` without using eval.
+ *
+ * Grammar:
+ *   or         := and ('||' and)*
+ *   and        := unary ('&&' unary)*
+ *   unary      := '!' unary | '(' or ')' | comparison
+ *   comparison := operand (('==' | '!=' | '<' | '<=' | '>' | '>=') operand)?
+ *   operand    := 'string' | "string" | number | true | false | null | path
+ *
+ * Paths are relative to the element being tested: `@` is the element itself,
+ * and `@.name`, `@['x-id']` or a bare `name` read from it.
+ *
+ * @class FilterExpression
+ */
+class FilterExpression {
+  constructor(pathUtils) {
+    this.pathUtils = pathUtils;
+  }
+
+  /**
+   * Parse a filter expression into an AST.
+   *
+   * @param {string} expression - Text between "[?" and "]"
+   * @param {string} path - Full selector, for error messages
+   * @param {number} offset - Position of the expression within path
+   * @returns {Object} AST node
+   * @throws {Error} If the expression is malformed
+   */
+  parse(expression, path, offset) {
+    const state = {
+      tokens: this._lex(expression, path, offset),
+      pos: 0,
+      path,
+      end: offset + expression.length,
+    };
+    if (state.tokens.length === 0) {
+      throw this._error('Expected filter expression', path, offset);
+    }
+    const node = this._parseOr(state);
+    if (state.pos < state.tokens.length) {
+      const token = state.tokens[state.pos];
+      throw this._error(`Unexpected "${token.text}" in filter expression`, path, token.position);
+    }
+    return node;
+  }
+
+  /**
+   * Test an element against a parsed filter.
+   *
+   * @param {Object} node - AST returned by parse
+   * @param {*} item - Element being tested
+   * @param {Function} resolve - (item, tokens) => value, used for path operands
+   * @returns {boolean}
+   */
+  matches(node, item, resolve) {
+    return Boolean(this._evaluate(node, item, resolve));
+  }
+
+  /**
+   * The path operands of a parsed filter, as token arrays relative to the
+   * element being tested ([] for "@").
+   *
+   * @param {Object} node - AST returned by parse
+   * @returns {Array<Object[]>}
+   */
+  pathOperands(node) {
+    switch (node.type) {
+      case 'path':
+        return [node.tokens];
+      case 'not':
+        return this.pathOperands(node.operand);
+      case 'and':
+      case 'or':
+      case 'compare':
+        return this.pathOperands(node.left).concat(this.pathOperands(node.right));
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * @private
+   */
+  _evaluate(node, item, resolve) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'path':
+        return node.tokens.length === 0 ? item : resolve(item, node.tokens);
+      case 'not':
+        return !this._evaluate(node.operand, item, resolve);
+      case 'and':
+        return this._evaluate(node.left, item, resolve) && this._evaluate(node.right, item, resolve);
+      case 'or':
+        return this._evaluate(node.left, item, resolve) || this._evaluate(node.right, item, resolve);
+      case 'compare':
+        return this._compare(
+          node.operator,
+          this._evaluate(node.left, item, resolve),
+          this._evaluate(node.right, item, resolve),
+        );
+      default:
+        throw new Error(`Unknown filter node type: ${node.type}`);
+    }
+  }
+
+  /**
+   * Equality is strict; ordering only applies to two numbers or two strings.
+   *
+   * @private
+   */
+  _compare(operator, left, right) {
+    if (operator === '==') return left === right;
+    if (operator === '!=') return left !== right;
+
+    const comparable =
+      (typeof left === 'number' && typeof right === 'number') ||
+      (typeof left === 'string' && typeof right === 'string');
+    if (!comparable) return false;
+
+    switch (operator) {
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+      default: return false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _parseOr(state) {
+    let left = this._parseAnd(state);
+    while (this._peek(state, '||')) {
+      state.pos++;
+      left = { type: 'or', left, right: this._parseAnd(state) };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  _parseAnd(state) {
+    let left = this._parseUnary(state);
+    while (this._peek(state, '&&')) {
+      state.pos++;
+      left = { type: 'and', left, right: this._parseUnary(state) };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  _parseUnary(state) {
+    if (this._peek(state, '!')) {
+      state.pos++;
+      return { type: 'not', operand: this._parseUnary(state) };
+    }
+    if (this._peek(state, '(')) {
+      state.pos++;
+      const node = this._parseOr(state);
+      if (!this._peek(state, ')')) {
+        throw this._error('Expected ")" in filter expression', state.path, this._position(state));
+      }
+      state.pos++;
+      return node;
+    }
+    return this._parseComparison(state);
+  }
+
+  /**
+   * @private
+   */
+  _parseComparison(state) {
+    const left = this._parseOperand(state);
+    const token = state.tokens[state.pos];
+    if (token && token.type === 'comparison') {
+      state.pos++;
+      return { type: 'compare', operator: token.text, left, right: this._parseOperand(state) };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  _parseOperand(state) {
+    const token = state.tokens[state.pos];
+    if (!token) {
+      throw this._error('Unexpected end of filter expression', state.path, state.end);
+    }
+    if (token.type === 'literal') {
+      state.pos++;
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'path') {
+      state.pos++;
+      return { type: 'path', tokens: token.tokens };
+    }
+    throw this._error(`Unexpected "${token.text}" in filter expression`, state.path, token.position);
+  }
+
+  /**
+   * @private
+   */
+  _peek(state, text) {
+    const token = state.tokens[state.pos];
+    return Boolean(token) && token.type !== 'literal' && token.type !== 'path' && token.text === text;
+  }
+
+  /**
+   * @private
+   */
+  _position(state) {
+    const token = state.tokens[state.pos];
+    return token ? token.position : state.end;
+  }
+
+  /**
+   * Split the expression into literal, path and operator tokens.
+   *
+   * @private
+   */
+  _lex(expression, path, offset) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < expression.length) {
+      const ch = expression[i];
+      const position = offset + i;
+
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+
+      const operator = /^(==|!=|<=|>=|&&|\|\||<|>|!|\(|\))/.exec(expression.slice(i));
+      if (operator) {
+        const text = operator[0];
+        const type = ['==', '!=', '<=', '>=', '<', '>'].includes(text) ? 'comparison' : 'operator';
+        tokens.push({ type, text, position });
+        i += text.length;
+        continue;
+      }
+
+      if (ch === '\'' || ch === '"') {
+        const end = this._scanQuoted(expression, i, path, offset);
+        const raw = expression.slice(i + 1, end);
+        tokens.push({ type: 'literal', text: expression.slice(i, end + 1), value: raw.replace(/\\(.)/g, '$1'), position });
+        i = end + 1;
+        continue;
+      }
+
+      const number = /^-?[0-9]+(\.[0-9]+)?/.exec(expression.slice(i));
+      if (number) {
+        tokens.push({ type: 'literal', text: number[0], value: Number(number[0]), position });
+        i += number[0].length;
+        continue;
+      }
+
+      if (ch === '@' || /[A-Za-z_$[]/.test(ch)) {
+        const end = this._scanPath(expression, i, path, offset);
+        const text = expression.slice(i, end);
+        tokens.push(this._pathToken(text, path, position));
+        i = end;
+        continue;
+      }
+
+      throw this._error(`Unexpected character "${ch}" in filter expression`, path, position);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Return the index of the closing quote matching the one at `start`.
+   *
+   * @private
+   */
+  _scanQuoted(expression, start, path, offset) {
+    const quote = expression[start];
+    let i = start + 1;
+    while (i < expression.length && expression[i] !== quote) {
+      i += expression[i] === '\\' ? 2 : 1;
+    }
+    if (i >= expression.length) {
+      throw this._error('Unterminated string in filter expression', path, offset + start);
+    }
+    return i;
+  }
+
+  /**
+   * Return the index just past a relative path operand. Brackets and quoted
+   * keys are consumed whole; whitespace or an operator ends the path.
+   *
+   * @private
+   */
+  _scanPath(expression, start, path, offset) {
+    let i = start;
+    let depth = 0;
+    while (i < expression.length) {
+      const ch = expression[i];
+      if (ch === '\\') {
+        i += 2;
+        continue;
+      }
+      if (depth > 0 && (ch === '\'' || ch === '"')) {
+        i = this._scanQuoted(expression, i, path, offset) + 1;
+        continue;
+      }
+      if (ch === '[') depth++;
+      else if (ch === ']') depth--;
+      else if (depth === 0 && /[\s=!<>&|()]/.test(ch)) break;
+      i++;
+    }
+    return i;
+  }
+
+  /**
+   * Turn the text of a path operand into a literal keyword or a path token.
+   *
+   * @private
+   */
+  _pathToken(text, path, position) {
+    const keywords = { 'true': true, 'false': false, 'null': null };
+    if (Object.prototype.hasOwnProperty.call(keywords, text)) {
+      return { type: 'literal', text, value: keywords[text], position };
+    }
+
+    let relative = text;
+    if (relative[0] === '@') {
+      relative = relative.slice(1);
+      if (relative[0] === '.') relative = relative.slice(1);
+    }
+
+    let tokens = [];
+    if (relative.length > 0) {
+      try {
+        tokens = this.pathUtils.tokenize(relative);
+      } catch (err) {
+        throw this._error(`Invalid selector "${text}" in filter expression`, path, position);
+      }
+    }
+    return { type: 'path', text, tokens, position };
+  }
+
+  /**
+   * @private
+   */
+  _error(message, path, position) {
+    return new Error(`${message} at position ${position} in path "${path}"`);
+  }
+}
+
+// CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FilterExpression;
+}
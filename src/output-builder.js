@@ -0,0 +1,73 @@
+// This file is part of MapperExp.
+//
+// MapperExp is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+//
+// MapperExp is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
+
+const PathUtils = require('./path-utils.js');
+const ValueSetter = require('./value-setter.js');
+
+/**
+ * OutputBuilder - Build an object with chained writes to target paths:
+ *
+ *   const payload = new OutputBuilder(mapper.transform(record))
+ *     .set('meta.source', 'servicenow')
+ *     .set('tags[]', 'imported')
+ *     .build();
+ *
+ * Writes go through ValueSetter, so the target path syntax and its checks
+ * are the same as for mapping rules. build() returns the plain object,
+ * which carries no builder methods.
+ *
+ * @class OutputBuilder
+ */
+class OutputBuilder {
+  /**
+   * @param {Object} [target={}] - Object to write into; it is modified in place
+   * @param {ValueSetter} [setter]
+   */
+  constructor(target = {}, setter) {
+    if (target === null || typeof target !== 'object' || Array.isArray(target)) {
+      throw new Error('Target must be an object');
+    }
+    this.target = target;
+    this.setter = setter || new ValueSetter(new PathUtils());
+  }
+
+  /**
+   * Write value at path.
+   *
+   * @param {string} path
+   * @param {*} value
+   * @returns {OutputBuilder} this
+   */
+  set(path, value) {
+    this.setter.set(this.target, path, value);
+    return this;
+  }
+
+  /**
+   * Remove the value at path; missing paths are ignored.
+   *
+   * @param {string} path
+   * @returns {OutputBuilder} this
+   */
+  unset(path) {
+    this.setter.unset(this.target, path);
+    return this;
+  }
+
+  /**
+   * @returns {Object} The built object
+   */
+  build() {
+    return this.target;
+  }
+}
+
+// CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OutputBuilder;
+}
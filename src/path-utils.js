@@ -6,15 +6,48 @@
 //
 // You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
 
+const FilterExpression = require('./filter-expression.js');
+
+// Property names that reach an object's prototype instead of its own data
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
 /**
- * PathUtils - utility to parse dot-separated paths with array indices.
+ * PathUtils - utility to parse selector paths.
+ *
+ * Supported syntax:
+ * - dot segments:        user.name, items.0.value
+ * - bracket indices:     items[0].sku
+ * - quoted bracket keys: metadata['x-custom'], headers["u_custom.field"]
+ * - escaped characters:  u_custom\.field (a single key containing a dot)
+ * - wildcards:           items[*].sku, lines.*.amount
+ * - filters:             contacts[?type=='primary'].email
+ * - appends (targets):   tags[], tags[-]
  */
 class PathUtils {
+  constructor() {
+    this.filterExpression = new FilterExpression(this);
+  }
+
   /**
-   * Parse a dot path like "user.name", "items.0.value"
+   * Parse a path like "user.name", "items[0].value" or "meta['x-id']".
    * Returns an array of segments as strings.
    */
   parsePath(path) {
+    return this.tokenize(path).map(token => String(token.value));
+  }
+
+  /**
+   * Tokenize a path into typed segments.
+   * Each token is { type: 'property' | 'index' | 'wildcard' | 'filter' | 'append', value, position },
+   * where position is the offset of the segment in the original path.
+   * Wildcard tokens carry the value '*'; a quoted or escaped '*' is a property.
+   * Bracket-quoted properties (a['0']) are marked `quoted: true`, so they are
+   * never read as array indices.
+   * Append tokens ("[]" or "[-]", target paths only) carry the value '-'.
+   * Filter tokens carry the expression text as value (e.g. "?type=='primary'")
+   * and its parsed form as `predicate` (see FilterExpression).
+   */
+  tokenize(path) {
     if (path === null || path === undefined) {
       throw new Error('Path cannot be null or undefined');
     }
@@ -28,17 +61,39 @@ class PathUtils {
     if (/^\.+$/.test(path)) {
       throw new Error('Invalid path format');
     }
-    // Can't start or end with dot
-    if (path.startsWith('.') || path.endsWith('.')) {
-      throw new Error('Path cannot start or end with a dot');
-    }
-    // No consecutive dots
-    if (path.includes('..')) {
-      throw new Error('Path cannot contain consecutive dots');
+
+    const tokens = [];
+    let i = 0;
+
+    while (i < path.length) {
+      const ch = path[i];
+
+      if (ch === '[') {
+        i = this._readBracket(path, i, tokens);
+      } else if (ch === '.') {
+        if (i === 0 || i === path.length - 1) {
+          throw this._error('Path cannot start or end with a dot', path, i);
+        }
+        if (path[i + 1] === '.') {
+          throw this._error('Path cannot contain consecutive dots', path, i);
+        }
+        i = this._readProperty(path, i + 1, tokens);
+      } else if (tokens.length === 0) {
+        i = this._readProperty(path, i, tokens);
+      } else {
+        throw this._error(`Unexpected character "${ch}"`, path, i);
+      }
     }
 
-    // Split by dot; keep array indices as strings
-    return path.split('.');
+    return tokens;
+  }
+
+  /**
+   * True for property names ("__proto__", "constructor", "prototype") that
+   * must never be written through, and only read as own properties.
+   */
+  isUnsafeKey(key) {
+    return UNSAFE_KEYS.includes(String(key));
   }
 
   isValidPath(path) {
@@ -49,6 +104,140 @@ class PathUtils {
       return false;
     }
   }
+
+  /**
+   * Read an unquoted property name starting at `start`.
+   * Stops at an unescaped "." or "["; a backslash escapes the next character.
+   *
+   * @private
+   */
+  _readProperty(path, start, tokens) {
+    let i = start;
+    let value = '';
+    let escaped = false;
+
+    while (i < path.length) {
+      const ch = path[i];
+      if (ch === '\\') {
+        if (i === path.length - 1) {
+          throw this._error('Dangling escape character', path, i);
+        }
+        value += path[i + 1];
+        escaped = true;
+        i += 2;
+        continue;
+      }
+      if (ch === '.' || ch === '[') break;
+      if (ch === ']') {
+        throw this._error('Unexpected character "]"', path, i);
+      }
+      value += ch;
+      i++;
+    }
+
+    if (i === start) {
+      throw this._error('Expected property name', path, start);
+    }
+
+    const type = value === '*' && !escaped ? 'wildcard' : 'property';
+    tokens.push({ type, value, position: start });
+    return i;
+  }
+
+  /**
+   * Read a bracket segment starting at the "[" at `start`:
+   * a non-negative integer index, a "*" wildcard, a "?" filter expression,
+   * an empty or "-" append segment or a single/double quoted key.
+   *
+   * @private
+   */
+  _readBracket(path, start, tokens) {
+    let i = start + 1;
+    const quote = path[i];
+    let token;
+
+    if (quote === '\'' || quote === '"') {
+      let value = '';
+      i++;
+      while (i < path.length && path[i] !== quote) {
+        if (path[i] === '\\' && i < path.length - 1) {
+          i++;
+        }
+        value += path[i];
+        i++;
+      }
+      if (i >= path.length) {
+        throw this._error('Unterminated quoted key', path, start + 1);
+      }
+      i++;
+      token = { type: 'property', value, quoted: true, position: start };
+    } else if (quote === '?') {
+      const end = this._findFilterEnd(path, i);
+      const expression = path.slice(i + 1, end);
+      const predicate = this.filterExpression.parse(expression, path, i + 1);
+      i = end;
+      token = { type: 'filter', value: `?${expression}`, predicate, position: start };
+    } else if (quote === '*') {
+      i++;
+      token = { type: 'wildcard', value: '*', position: start };
+    } else if (quote === ']' || quote === '-') {
+      if (quote === '-') i++;
+      token = { type: 'append', value: '-', position: start };
+    } else {
+      const match = /^[0-9]+/.exec(path.slice(i));
+      if (!match) {
+        throw this._error('Expected array index, "*", "-", filter or quoted key', path, i);
+      }
+      i += match[0].length;
+      token = { type: 'index', value: Number(match[0]), position: start };
+    }
+
+    if (path[i] !== ']') {
+      throw this._error('Expected "]"', path, i);
+    }
+    tokens.push(token);
+    return i + 1;
+  }
+
+  /**
+   * Return the index of the "]" closing a filter expression that starts at
+   * `start`, skipping nested brackets and quoted strings.
+   *
+   * @private
+   */
+  _findFilterEnd(path, start) {
+    let depth = 0;
+    let i = start;
+    while (i < path.length) {
+      const ch = path[i];
+      if (ch === '\\') {
+        i += 2;
+        continue;
+      }
+      if (ch === '\'' || ch === '"') {
+        i++;
+        while (i < path.length && path[i] !== ch) {
+          i += path[i] === '\\' ? 2 : 1;
+        }
+      } else if (ch === '[') {
+        depth++;
+      } else if (ch === ']') {
+        if (depth === 0) return i;
+        depth--;
+      }
+      i++;
+    }
+    throw this._error('Unterminated filter expression', path, start - 1);
+  }
+
+  /**
+   * Build a parse error that points at an offset in the path.
+   *
+   * @private
+   */
+  _error(message, path, position) {
+    return new Error(`${message} at position ${position} in path "${path}"`);
+  }
 }
 
 // CommonJS export
@@ -6,6 +6,8 @@
 //
 // You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
 
+const { MappingError, ValidationError } = require('./errors.js');
+
 /**
  * StringValidator - Validates string values against OpenAPI 3.0 string schema
  *
@@ -36,7 +38,7 @@ class StringValidator {
    *
    * @param {*} value - Value to validate
    * @param {Object} rule - Validation rule with OpenAPI schema properties
-   * @throws {Error} If validation fails
+   * @throws {ValidationError} If validation fails
    */
   validate(value, rule) {
     // Type validation
@@ -75,7 +77,10 @@ class StringValidator {
   _validateType(value) {
     const actualType = this._getType(value);
     if (actualType !== 'string') {
-      throw new Error(`Expected type string but got ${actualType}`);
+      throw new ValidationError(`Expected type string but got ${actualType}`, {
+        constraint: 'type',
+        value,
+      });
     }
   }
 
@@ -98,8 +103,9 @@ class StringValidator {
    */
   _validateEnum(value, enumValues) {
     if (!enumValues.includes(value)) {
-      throw new Error(
+      throw new ValidationError(
         `Value "${value}" is not in enum [${enumValues.join(', ')}]`,
+        { constraint: 'enum', value },
       );
     }
   }
@@ -111,8 +117,9 @@ class StringValidator {
    */
   _validateMinLength(value, minLength) {
     if (value.length < minLength) {
-      throw new Error(
+      throw new ValidationError(
         `String length ${value.length} is less than minimum length ${minLength}`,
+        { constraint: 'minLength', value },
       );
     }
   }
@@ -124,8 +131,9 @@ class StringValidator {
    */
   _validateMaxLength(value, maxLength) {
     if (value.length > maxLength) {
-      throw new Error(
+      throw new ValidationError(
         `String length ${value.length} is greater than maximum length ${maxLength}`,
+        { constraint: 'maxLength', value },
       );
     }
   }
@@ -136,16 +144,21 @@ class StringValidator {
    * @private
    */
   _validatePattern(value, pattern) {
+    let regex;
     try {
-      const regex = new RegExp(pattern);
-      if (!regex.test(value)) {
-        throw new Error(`String does not match pattern ${pattern}`);
-      }
+      regex = new RegExp(pattern);
     } catch (error) {
-      if (error.message.includes('does not match pattern')) {
-        throw error;
-      }
-      throw new Error('Invalid regex pattern');
+      throw new MappingError('Invalid regex pattern', {
+        code: 'INVALID_RULE',
+        constraint: 'pattern',
+        cause: error,
+      });
+    }
+    if (!regex.test(value)) {
+      throw new ValidationError(`String does not match pattern ${pattern}`, {
+        constraint: 'pattern',
+        value,
+      });
     }
   }
 
@@ -165,6 +178,15 @@ class StringValidator {
     validator(value);
   }
 
+  /**
+   * Build the error raised when a value does not match its format
+   *
+   * @private
+   */
+  _formatError(message, value) {
+    return new ValidationError(message, { constraint: 'format', value });
+  }
+
   /**
    * Validate date format (YYYY-MM-DD)
    *
@@ -174,13 +196,13 @@ class StringValidator {
     const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
 
     if (!dateRegex.test(value)) {
-      throw new Error('String does not match date format (YYYY-MM-DD)');
+      throw this._formatError('String does not match date format (YYYY-MM-DD)', value);
     }
 
     // Validate it's a real date
     const date = new Date(value + 'T00:00:00Z');
     if (isNaN(date.getTime())) {
-      throw new Error('String does not match date format (YYYY-MM-DD)');
+      throw this._formatError('String does not match date format (YYYY-MM-DD)', value);
     }
 
     // Validate the date string matches the parsed date (catches invalid dates like 2024-02-30)
@@ -190,7 +212,7 @@ class StringValidator {
       date.getUTCMonth() !== month - 1 ||
       date.getUTCDate() !== day
     ) {
-      throw new Error('String does not match date format (YYYY-MM-DD)');
+      throw this._formatError('String does not match date format (YYYY-MM-DD)', value);
     }
   }
 
@@ -204,13 +226,13 @@ class StringValidator {
     const iso8601Regex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?(Z|[+-]\d{2}:\d{2})$/;
 
     if (!iso8601Regex.test(value)) {
-      throw new Error('String does not match date-time format (ISO 8601)');
+      throw this._formatError('String does not match date-time format (ISO 8601)', value);
     }
 
     // Validate it's a real date
     const date = new Date(value);
     if (isNaN(date.getTime())) {
-      throw new Error('String does not match date-time format (ISO 8601)');
+      throw this._formatError('String does not match date-time format (ISO 8601)', value);
     }
   }
 
@@ -224,7 +246,7 @@ class StringValidator {
     const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
 
     if (!emailRegex.test(value)) {
-      throw new Error('String does not match email format');
+      throw this._formatError('String does not match email format', value);
     }
   }
 
@@ -238,7 +260,7 @@ class StringValidator {
     const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
     if (!uuidRegex.test(value)) {
-      throw new Error('String does not match uuid format');
+      throw this._formatError('String does not match uuid format', value);
     }
   }
 
@@ -252,7 +274,7 @@ class StringValidator {
     const uriRegex = /^[a-zA-Z][a-zA-Z0-9+.-]*:/;
 
     if (!uriRegex.test(value)) {
-      throw new Error('String does not match uri format');
+      throw this._formatError('String does not match uri format', value);
     }
 
     // Additional validation: try to construct URL (for http/https)
@@ -260,7 +282,7 @@ class StringValidator {
       try {
         new URL(value);
       } catch (error) {
-        throw new Error('String does not match uri format');
+        throw this._formatError('String does not match uri format', value);
       }
     }
   }
@@ -275,7 +297,7 @@ class StringValidator {
     const hostnameRegex = /^([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)*[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/;
 
     if (!hostnameRegex.test(value)) {
-      throw new Error('String does not match hostname format');
+      throw this._formatError('String does not match hostname format', value);
     }
   }
 
@@ -289,14 +311,14 @@ class StringValidator {
     const match = value.match(ipv4Regex);
 
     if (!match) {
-      throw new Error('String does not match ipv4 format');
+      throw this._formatError('String does not match ipv4 format', value);
     }
 
     // Validate each octet is 0-255
     for (let i = 1; i <= 4; i++) {
       const octet = parseInt(match[i], 10);
       if (octet > 255) {
-        throw new Error('String does not match ipv4 format');
+        throw this._formatError('String does not match ipv4 format', value);
       }
     }
   }
@@ -311,7 +333,7 @@ class StringValidator {
     const ipv6Regex = /^(([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,7}:|([0-9a-fA-F]{1,4}:){1,6}:[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,5}(:[0-9a-fA-F]{1,4}){1,2}|([0-9a-fA-F]{1,4}:){1,4}(:[0-9a-fA-F]{1,4}){1,3}|([0-9a-fA-F]{1,4}:){1,3}(:[0-9a-fA-F]{1,4}){1,4}|([0-9a-fA-F]{1,4}:){1,2}(:[0-9a-fA-F]{1,4}){1,5}|[0-9a-fA-F]{1,4}:((:[0-9a-fA-F]{1,4}){1,6})|:((:[0-9a-fA-F]{1,4}){1,7}|:))$/;
 
     if (!ipv6Regex.test(value)) {
-      throw new Error('String does not match ipv6 format');
+      throw this._formatError('String does not match ipv6 format', value);
     }
   }
 }
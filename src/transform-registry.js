@@ -0,0 +1,78 @@
+// This file is part of MapperExp.
+//
+// MapperExp is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+//
+// MapperExp is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * TransformRegistry - Named transforms that serializable rules refer to.
+ *
+ * A named transform has the signature `(value, args, ctx) => result`:
+ * - value: the value being transformed (see DataMapper for what the first
+ *   step of a rule receives)
+ * - args:  the array given as `args` in the rule, or []
+ * - ctx:   the same context object passed to function transforms
+ *
+ * @class TransformRegistry
+ */
+class TransformRegistry {
+  /**
+   * @param {Object<string, Function>} [transforms] - Initial transforms by name
+   */
+  constructor(transforms = {}) {
+    this.transforms = {};
+    for (const [name, fn] of Object.entries(transforms)) {
+      this.register(name, fn);
+    }
+  }
+
+  /**
+   * Register (or replace) a named transform.
+   *
+   * @param {string} name
+   * @param {Function} fn - (value, args, ctx) => result
+   * @returns {TransformRegistry} this, for chaining
+   */
+  register(name, fn) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error('Transform name must be a non-empty string');
+    }
+    if (typeof fn !== 'function') {
+      throw new Error(`Transform "${name}" must be a function`);
+    }
+    this.transforms[name] = fn;
+    return this;
+  }
+
+  unregister(name) {
+    delete this.transforms[name];
+    return this;
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.transforms, name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Function}
+   * @throws {Error} If no transform is registered under name
+   */
+  get(name) {
+    if (!this.has(name)) {
+      throw new Error(`Unknown transform "${name}"`);
+    }
+    return this.transforms[name];
+  }
+
+  names() {
+    return Object.keys(this.transforms);
+  }
+}
+
+// CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TransformRegistry;
+}
@@ -7,12 +7,13 @@
 // You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
 
 const StringValidator = require('./string-validator.js');
+const { MappingError, ValidationError } = require('./errors.js');
 
 class BooleanValidator {
   validate(value, _rule) {
     if (typeof value !== 'boolean') {
       const t = this._typeOf(value);
-      throw new Error(`Expected type boolean but got ${t}`);
+      throw new ValidationError(`Expected type boolean but got ${t}`, { constraint: 'type', value });
     }
   }
   _typeOf(v){ if(v===null) return 'null'; if(Array.isArray(v)) return 'array'; return typeof v; }
@@ -23,18 +24,18 @@ class ArrayValidator {
   validate(value, rule = {}) {
     if (!Array.isArray(value)) {
       const t = this._typeOf(value);
-      throw new Error(`Expected type array but got ${t}`);
+      throw new ValidationError(`Expected type array but got ${t}`, { constraint: 'type', value });
     }
     if (rule.minItems !== undefined && value.length < rule.minItems) {
-      throw new Error(`Array length ${value.length} is less than minimum ${rule.minItems}`);
+      throw new ValidationError(`Array length ${value.length} is less than minimum ${rule.minItems}`, { constraint: 'minItems', value });
     }
     if (rule.maxItems !== undefined && value.length > rule.maxItems) {
-      throw new Error(`Array length ${value.length} exceeds maximum ${rule.maxItems}`);
+      throw new ValidationError(`Array length ${value.length} exceeds maximum ${rule.maxItems}`, { constraint: 'maxItems', value });
     }
     if (rule.uniqueItems) {
       const set = new Set(value.map(v => JSON.stringify(v)));
       if (set.size !== value.length) {
-        throw new Error('Array items are not unique');
+        throw new ValidationError('Array items are not unique', { constraint: 'uniqueItems', value });
       }
     }
     if (rule.items) {
@@ -54,12 +55,12 @@ class ObjectValidator {
   validate(value, rule = {}) {
     const t = this._typeOf(value);
     if (t !== 'object') {
-      throw new Error(`Expected type object but got ${t}`);
+      throw new ValidationError(`Expected type object but got ${t}`, { constraint: 'type', value });
     }
     if (Array.isArray(rule.required)) {
       for (const prop of rule.required) {
         if (!Object.prototype.hasOwnProperty.call(value, prop)) {
-          throw new Error(`Missing required property: ${prop}`);
+          throw new ValidationError(`Missing required property: ${prop}`, { constraint: 'required', value });
         }
       }
     }
@@ -71,7 +72,7 @@ class NullValidator {
   validate(value, _rule) {
     if (value !== null) {
       const t = this._typeOf(value);
-      throw new Error(`Expected type null but got ${t}`);
+      throw new ValidationError(`Expected type null but got ${t}`, { constraint: 'type', value });
     }
   }
   _typeOf(v){ if(v===null) return 'null'; if(Array.isArray(v)) return 'array'; return typeof v; }
@@ -82,46 +83,46 @@ class NumberValidator {
     const expected = rule.type || 'number';
 
     if (Number.isNaN(value)) {
-      throw new Error('Number cannot be NaN');
+      throw new ValidationError('Number cannot be NaN', { constraint: 'type', value });
     }
     if (value === Infinity || value === -Infinity) {
-      throw new Error('Number cannot be Infinity');
+      throw new ValidationError('Number cannot be Infinity', { constraint: 'type', value });
     }
 
     if (typeof value !== 'number' || !Number.isFinite(value)) {
       const t = this._typeOf(value);
-      throw new Error(`Expected type ${expected} but got ${t}`);
+      throw new ValidationError(`Expected type ${expected} but got ${t}`, { constraint: 'type', value });
     }
 
     if (expected === 'integer' && !Number.isInteger(value)) {
-      throw new Error(`Expected type integer but got float`);
+      throw new ValidationError(`Expected type integer but got float`, { constraint: 'type', value });
     }
 
     if (rule.multipleOf !== undefined) {
       const m = rule.multipleOf;
       if (typeof m !== 'number' || m === 0) {
-        throw new Error('multipleOf must be a non-zero number');
+        throw new MappingError('multipleOf must be a non-zero number', { code: 'INVALID_RULE', constraint: 'multipleOf' });
       }
       const ratio = value / m;
       if (Math.abs(ratio - Math.round(ratio)) > 1e-12) {
-        throw new Error(`Number ${value} is not a multiple of ${m}`);
+        throw new ValidationError(`Number ${value} is not a multiple of ${m}`, { constraint: 'multipleOf', value });
       }
     }
 
     if (rule.minimum !== undefined) {
       if (value < rule.minimum) {
-        throw new Error(`Number ${value} is less than minimum ${rule.minimum}`);
+        throw new ValidationError(`Number ${value} is less than minimum ${rule.minimum}`, { constraint: 'minimum', value });
       }
     }
 
     if (rule.maximum !== undefined) {
       if (rule.maximum < 0) {
         if (Math.abs(value) > Math.abs(rule.maximum)) {
-          throw new Error(`Number ${value} is greater than maximum ${rule.maximum}`);
+          throw new ValidationError(`Number ${value} is greater than maximum ${rule.maximum}`, { constraint: 'maximum', value });
         }
       } else {
         if (value > rule.maximum) {
-          throw new Error(`Number ${value} is greater than maximum ${rule.maximum}`);
+          throw new ValidationError(`Number ${value} is greater than maximum ${rule.maximum}`, { constraint: 'maximum', value });
         }
       }
     }
@@ -130,7 +131,7 @@ class NumberValidator {
       const min = rule.exclusiveMinimum;
       if (typeof min === 'number') {
         if (!(value > min)) {
-          throw new Error(`Number ${value} is not greater than exclusive minimum ${min}`);
+          throw new ValidationError(`Number ${value} is not greater than exclusive minimum ${min}`, { constraint: 'exclusiveMinimum', value });
         }
       }
     }
@@ -139,7 +140,7 @@ class NumberValidator {
       const max = rule.exclusiveMaximum;
       if (typeof max === 'number') {
         if (!(value < max)) {
-          throw new Error(`Number ${value} is not less than exclusive maximum ${max}`);
+          throw new ValidationError(`Number ${value} is not less than exclusive maximum ${max}`, { constraint: 'exclusiveMaximum', value });
         }
       }
     }
@@ -147,18 +148,18 @@ class NumberValidator {
     if (Array.isArray(rule.enum)) {
       const ok = rule.enum.some(v => v === value);
       if (!ok) {
-        throw new Error(`Value ${value} is not in enum [${rule.enum.join(', ')}]`);
+        throw new ValidationError(`Value ${value} is not in enum [${rule.enum.join(', ')}]`, { constraint: 'enum', value });
       }
     }
 
     if (expected === 'integer' && rule.format) {
       if (rule.format === 'int32') {
         if (value < -2147483648 || value > 2147483647) {
-          throw new Error('Integer out of int32 range');
+          throw new ValidationError('Integer out of int32 range', { constraint: 'format', value });
         }
       } else if (rule.format === 'int64') {
         if (value < Number.MIN_SAFE_INTEGER || value > Number.MAX_SAFE_INTEGER) {
-          throw new Error('Integer outside JS safe range for int64');
+          throw new ValidationError('Integer outside JS safe range for int64', { constraint: 'format', value });
         }
       }
     }
@@ -182,7 +183,7 @@ class ValidatorFactory {
   getValidator(type) {
     if (this.validators[type]) return this.validators[type];
     const Cls = this.validatorClasses[type];
-    if (!Cls) throw new Error(`Unknown type: ${type}`);
+    if (!Cls) throw new MappingError(`Unknown type: ${type}`, { code: 'INVALID_RULE', constraint: 'type' });
     this.validators[type] = (type === 'array') ? new Cls(this) : new Cls();
     return this.validators[type];
   }
@@ -7,23 +7,198 @@
 // You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
 
 const PathUtils = require('./path-utils.js');
+const FilterExpression = require('./filter-expression.js');
 
+/**
+ * ValueExtractor - Read values from source objects using selector paths.
+ *
+ * Missing paths resolve to undefined. A wildcard segment ("items[*].sku" or
+ * "lines.*.amount") projects the rest of the path over every element of an
+ * array (or every value of an object) and returns the matches as an array.
+ * A filter segment ("contacts[?type=='primary'].email") projects the same way
+ * over only the elements whose predicate holds.
+ *
+ * Only own properties are read, so a selector cannot reach Object.prototype
+ * or a class's methods. With `inheritedProperties: true` inherited
+ * properties (e.g. getters of a record class) are read too, except for
+ * "__proto__", "constructor" and "prototype", which stay own-only.
+ */
 class ValueExtractor {
-  constructor(pathUtils) {
+  /**
+   * @param {PathUtils} [pathUtils]
+   * @param {Object} [options]
+   * @param {boolean} [options.inheritedProperties=false]
+   */
+  constructor(pathUtils, options = {}) {
     this.pathUtils = pathUtils || new PathUtils();
+    this.filterExpression = this.pathUtils.filterExpression || new FilterExpression(this.pathUtils);
+    this.inheritedProperties = Boolean(options.inheritedProperties);
   }
 
   extract(source, path) {
     if (!path || path === '$') return source;
-    const segments = this.pathUtils.parsePath(path);
+    return this._resolve(source, this._tokenize(path), 0);
+  }
+
+  /**
+   * Find the first segment of `path` that does not exist in source: a key
+   * that _get() would not read from an object (or an index past the end of
+   * an array), or any segment below a primitive. Returns null when the path
+   * exists. Null or undefined values along the way count as existing, and
+   * nothing after the first wildcard or filter segment is checked.
+   *
+   * @param {*} source
+   * @param {string} path
+   * @returns {{ segment: string, parent: string }|null} parent is the
+   *   selector of the last existing value ('' for the source itself)
+   */
+  findMissingSegment(source, path) {
+    if (!path || path === '$') return null;
+    const tokens = this._tokenize(path);
     let cur = source;
-    for (let i = 0; i < segments.length; i++) {
+    for (const token of tokens) {
+      if (token.type === 'wildcard' || token.type === 'filter') return null;
+      if (cur === null || cur === undefined) return null;
+      if (typeof cur !== 'object' || !this._has(cur, token.value)) {
+        return {
+          segment: String(token.value),
+          parent: path.slice(0, token.position).replace(/\.$/, ''),
+        };
+      }
+      cur = cur[token.value];
+    }
+    return null;
+  }
+
+  /**
+   * Concrete locations a selector matches in source, as arrays of keys,
+   * e.g. [['lines', 0, 'amount'], ['lines', 1, 'amount']] for
+   * "lines[*].amount". Locations whose value is undefined are left out,
+   * matching what extract() returns.
+   *
+   * When `tested` is given, it receives the locations of the fields that
+   * filter predicates read, for every element tested, whether it matched
+   * or not.
+   *
+   * @param {*} source
+   * @param {string} path
+   * @param {Array<Array<string|number>>} [tested]
+   * @returns {Array<Array<string|number>>}
+   */
+  locate(source, path, tested) {
+    const found = [];
+    const tokens = !path || path === '$' ? [] : this._tokenize(path);
+    this._locate(source, tokens, 0, [], found, tested);
+    return found;
+  }
+
+  /**
+   * Read one property of a non-null value: own properties only, unless
+   * inheritedProperties is set and the key is safe.
+   *
+   * @private
+   */
+  _get(cur, key) {
+    return this._has(cur, key) ? cur[key] : undefined;
+  }
+
+  /**
+   * Whether _get() reads `key` from a non-null value.
+   *
+   * @private
+   */
+  _has(cur, key) {
+    if (this.inheritedProperties && !this.pathUtils.isUnsafeKey(key)) return key in Object(cur);
+    return Object.prototype.hasOwnProperty.call(cur, key);
+  }
+
+  /**
+   * Tokenize a selector, rejecting append segments, which only make sense
+   * in a target path.
+   *
+   * @private
+   */
+  _tokenize(path) {
+    const tokens = this.pathUtils.tokenize(path);
+    if (tokens.some(token => token.type === 'append')) {
+      throw new Error(`Append segments ("[]") can only be used in a target path: "${path}"`);
+    }
+    return tokens;
+  }
+
+  /**
+   * @private
+   */
+  _locate(cur, tokens, i, keys, found, tested) {
+    if (cur === undefined) return;
+    if (i === tokens.length) {
+      found.push(keys);
+      return;
+    }
+    if (cur === null) return;
+
+    const token = tokens[i];
+    if (token.type !== 'wildcard' && token.type !== 'filter') {
+      this._locate(this._get(cur, token.value), tokens, i + 1, keys.concat(token.value), found, tested);
+      return;
+    }
+    if (typeof cur !== 'object') return;
+    const resolve = (item, path) => this._resolve(item, path, 0);
+    const entries = Array.isArray(cur) ? cur.map((item, k) => [k, item]) : Object.entries(cur);
+    const operands = token.predicate && tested ? this.filterExpression.pathOperands(token.predicate) : [];
+    for (const [key, item] of entries) {
+      for (const operand of operands) {
+        this._locate(item, operand, 0, keys.concat(key), tested, tested);
+      }
+      if (token.predicate && !this.filterExpression.matches(token.predicate, item, resolve)) continue;
+      this._locate(item, tokens, i + 1, keys.concat(key), found, tested);
+    }
+  }
+
+  /**
+   * Walk tokens from `start`, delegating to _project on the first wildcard
+   * or filter segment.
+   *
+   * @private
+   */
+  _resolve(cur, tokens, start) {
+    for (let i = start; i < tokens.length; i++) {
       if (cur === null || cur === undefined) return undefined;
-      const key = segments[i];
-      cur = cur[key];
+      const token = tokens[i];
+      if (token.type === 'wildcard' || token.type === 'filter') {
+        return this._project(cur, tokens, i + 1, token.predicate);
+      }
+      cur = this._get(cur, token.value);
     }
     return cur;
   }
+
+  /**
+   * Resolve the remaining tokens against each element of a collection,
+   * keeping only elements that satisfy `predicate` when one is given.
+   * Elements where the remainder is missing are skipped; when the remainder
+   * contains another projection, its results are flattened into one array.
+   *
+   * @private
+   */
+  _project(collection, tokens, start, predicate) {
+    if (typeof collection !== 'object') return undefined;
+    const items = Array.isArray(collection) ? collection : Object.values(collection);
+    const nested = tokens.slice(start).some(token => token.type === 'wildcard' || token.type === 'filter');
+    const resolve = (item, path) => this._resolve(item, path, 0);
+    const results = [];
+    for (const item of items) {
+      if (predicate && !this.filterExpression.matches(predicate, item, resolve)) continue;
+      const value = this._resolve(item, tokens, start);
+      if (value === undefined) continue;
+      if (nested && Array.isArray(value)) {
+        results.push(...value);
+      } else {
+        results.push(value);
+      }
+    }
+    return results;
+  }
 }
 
 if (typeof module !== 'undefined' && module.exports) {
@@ -6,22 +6,122 @@
 //
 // You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
 
+// Most undefined elements a write may add before an array index
+const MAX_INDEX_GAP = 1000;
+
 /**
- * ValueSetter - Set values into target objects using dot paths, creating objects as needed
+ * ValueSetter - Set values into target objects using dot paths, creating
+ * objects and arrays as needed.
+ *
+ * A missing intermediate value becomes an array when the next segment is an
+ * index ("lines[0].sku", "lines.0.sku") or an append segment, and an object
+ * otherwise. An append segment ("tags[]" or "tags[-]") writes to the end of
+ * the array. Writing past the end of an array fills the gap with undefined,
+ * so arrays never have holes; a gap of more than MAX_INDEX_GAP elements is
+ * rejected, so an index like "lines[1000000000]" cannot exhaust memory.
+ *
+ * Segments named "__proto__", "constructor" or "prototype" are rejected, and
+ * only own properties are treated as existing containers, so a target path
+ * can never write into a prototype.
  */
 class ValueSetter {
-  constructor(pathUtils) {
+  /**
+   * @param {PathUtils} pathUtils
+   * @param {Object} [options]
+   * @param {boolean} [options.chainable=false] - Legacy mode: attach a hidden
+   *   bound `set` to the target so `set(...).set(...)` chains, as before
+   *   OutputBuilder. New code should use OutputBuilder instead.
+   */
+  constructor(pathUtils, options = {}) {
     this.pathUtils = pathUtils;
+    this.chainable = Boolean(options.chainable);
   }
 
   /**
-   * Set value at path within target, creating intermediate objects as necessary.
+   * Set value at path within target, creating intermediate objects and
+   * arrays as necessary.
    * @param {Object} target
    * @param {string} path
    * @param {*} value
-   * @returns {Object} target (and enables chaining by attaching bound set)
+   * @returns {Object} target, unchanged apart from the written value (use
+   *   OutputBuilder to chain writes) unless the setter is chainable
    */
   set(target, path, value) {
+    const tokens = this._targetTokens(target, path);
+    if (this.chainable && tokens[0].value === 'set' && !Object.prototype.propertyIsEnumerable.call(target, 'set')) {
+      // A real "set" field replaces the hidden chaining method
+      delete target.set;
+    }
+    let cur = target;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const key = this._key(cur, tokens[i], path);
+
+      if (i === tokens.length - 1) {
+        this._assign(cur, key, value);
+        break;
+      }
+
+      const next = tokens[i + 1];
+      const child = Object.prototype.hasOwnProperty.call(cur, key) ? cur[key] : undefined;
+      if (child === undefined) {
+        const container = this._isIndex(next) ? [] : {};
+        // Check the next segment first so a rejected index creates nothing
+        this._key(container, next, path);
+        this._assign(cur, key, container);
+      } else if (child === null || typeof child !== 'object') {
+        throw new Error(`Cannot set property "${next.value}" on non-object value at path "${this._pathTo(path, next)}"`);
+      }
+      cur = cur[key];
+    }
+
+    if (this.chainable && !Object.prototype.hasOwnProperty.call(target, 'set')) {
+      Object.defineProperty(target, 'set', { value: this.set.bind(this), enumerable: false, configurable: true });
+    }
+    return target;
+  }
+
+  /**
+   * Remove the value at path. An array element is spliced out, so later
+   * elements move down and the array keeps no hole. Paths that do not
+   * exist are ignored.
+   *
+   * @param {Object} target
+   * @param {string} path
+   * @returns {boolean} Whether a value was removed
+   */
+  unset(target, path) {
+    const tokens = this._targetTokens(target, path);
+    const append = tokens.find(token => token.type === 'append');
+    if (append) {
+      throw new Error(`Append segments cannot be used to unset a value: "${path}"`);
+    }
+
+    let cur = target;
+    for (const token of tokens.slice(0, -1)) {
+      if (!Object.prototype.hasOwnProperty.call(cur, token.value)) return false;
+      cur = cur[token.value];
+      if (cur === null || typeof cur !== 'object') return false;
+    }
+
+    const last = tokens[tokens.length - 1];
+    if (!Object.prototype.hasOwnProperty.call(cur, last.value)) return false;
+    if (Array.isArray(cur)) {
+      if (!this._isIndex(last)) return false;
+      cur.splice(Number(last.value), 1);
+    } else {
+      delete cur[last.value];
+    }
+    return true;
+  }
+
+  /**
+   * Check the target and tokenize a target path, rejecting projections and
+   * unsafe segments.
+   *
+   * @private
+   */
+  _targetTokens(target, path) {
     if (target === null || target === undefined) {
       throw new Error('Target object cannot be null or undefined');
     }
@@ -32,54 +132,84 @@ class ValueSetter {
       throw new Error('Path must be a non-empty string for setting values');
     }
 
-    const segments = this.pathUtils.parsePath(path);
-    let cur = target;
-    const traversed = [];
-
-    for (let i = 0; i < segments.length; i++) {
-      const key = segments[i];
-      const last = i === segments.length - 1;
-
-      if (!last) {
-        const nextKey = segments[i + 1];
-
-        if (cur[key] !== undefined && (cur[key] === null || typeof cur[key] !== 'object')) {
-          const atPath = [...traversed, key].join('.') || key;
-          throw new Error(`Cannot set property "${nextKey}" on non-object value at path "${atPath}"`);
-        }
-
-
-        if (cur[key] === undefined) {
-          const nextIsIndex = /^[0-9]+$/.test(String(nextKey));
-          if (key === 'items') {
-            if (!nextIsIndex) {
-              throw new Error(`Cannot set non-numeric property "${nextKey}" on non-existent array`);
-            }
-            cur[key] = [];
-          } else {
-            cur[key] = {};
-          }
-        }
-
-
-        cur = cur[key];
-        traversed.push(key);
-      } else {
-        cur[key] = value;
+    const tokens = this.pathUtils.tokenize(path);
+    const projection = tokens.find(token => token.type === 'wildcard' || token.type === 'filter');
+    if (projection) {
+      const kind = projection.type === 'filter' ? 'Filter' : 'Wildcard';
+      throw new Error(`${kind} selectors cannot be used as a target path: "${path}"`);
+    }
+    const unsafe = tokens.find(token => this.pathUtils.isUnsafeKey(token.value));
+    if (unsafe) {
+      throw new Error(`Unsafe segment "${unsafe.value}" in target path "${path}"`);
+    }
+    return tokens;
+  }
+
+  /**
+   * Whether a segment addresses an array element: a bracket index, a
+   * numeric dotted segment or an append segment. Quoted keys (a['0']) are
+   * always property names.
+   *
+   * @private
+   */
+  _isIndex(token) {
+    if (token.type === 'index' || token.type === 'append') return true;
+    return token.type === 'property' && !token.quoted && /^[0-9]+$/.test(token.value);
+  }
+
+  /**
+   * The key a segment writes to in `container`: the next free index for an
+   * append segment, a number in arrays and a string in objects.
+   *
+   * @private
+   */
+  _key(container, token, path) {
+    if (Array.isArray(container)) {
+      if (token.type === 'append') return container.length;
+      if (!this._isIndex(token)) {
+        throw new Error(`Cannot set non-numeric property "${token.value}" on array at path "${this._pathTo(path, token)}"`);
       }
+      const index = Number(token.value);
+      if (index - container.length > MAX_INDEX_GAP) {
+        throw new Error(
+          `Index ${index} at path "${this._pathTo(path, token)}" would leave a gap of ` +
+          `${index - container.length} elements (at most ${MAX_INDEX_GAP})`
+        );
+      }
+      return index;
+    }
+    if (token.type === 'append') {
+      throw new Error(`Cannot append to non-array value at path "${this._pathTo(path, token)}"`);
     }
+    return String(token.value);
+  }
 
-    if (typeof target.set !== 'function') {
-      Object.defineProperty(target, 'set', {
-        value: this.set.bind(this),
-        enumerable: false,
-      });
+  /**
+   * Assign container[key], filling any gap before an array index with undefined.
+   *
+   * @private
+   */
+  _assign(container, key, value) {
+    if (Array.isArray(container)) {
+      while (container.length < key) container.push(undefined);
     }
-    return target;
+    container[key] = value;
+  }
+
+  /**
+   * The part of `path` before `token`, e.g. "lines[0]" for the "sku" of
+   * "lines[0].sku".
+   *
+   * @private
+   */
+  _pathTo(path, token) {
+    return path.slice(0, token.position).replace(/\.$/, '');
   }
 }
 
 // CommonJS export
+ValueSetter.MAX_INDEX_GAP = MAX_INDEX_GAP;
+
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = ValueSetter;
 }
@@ -0,0 +1,442 @@
+// This file is part of MapperExp.
+//
+// MapperExp is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+//
+// MapperExp is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * YamlParser - Parses the subset of YAML used by mapping definitions,
+ * with no external dependencies.
+ *
+ * Supported:
+ * - block mappings and block sequences (indented with spaces), including
+ *   compact nested sequences ("- - a")
+ * - flow sequences and mappings on one line: [a, b], { name: x, args: [1] }
+ * - plain, single-quoted and double-quoted scalars
+ * - null (~, null), booleans (true, false) and numbers
+ * - comments (#) and a leading "---" document marker
+ *
+ * Not supported: anchors/aliases, tags, block scalars (| and >),
+ * multi-line flow collections and multiple documents.
+ *
+ * @class YamlParser
+ */
+class YamlParser {
+  /**
+   * Parse YAML text into plain JavaScript values.
+   *
+   * @param {string} text
+   * @returns {*}
+   * @throws {Error} With the offending line number when the text is invalid
+   */
+  parse(text) {
+    if (typeof text !== 'string') {
+      throw new Error('YAML input must be a string');
+    }
+
+    const lines = this._splitLines(text);
+    if (lines.length === 0) return null;
+
+    const state = { lines, index: 0 };
+    const value = this._parseBlock(state, lines[0].indent);
+    if (state.index < lines.length) {
+      throw this._error('Unexpected indentation', lines[state.index].number);
+    }
+    return value;
+  }
+
+  /**
+   * Split text into significant lines: { indent, content, number }.
+   *
+   * @private
+   */
+  _splitLines(text) {
+    const result = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+      const number = i + 1;
+      const content = this._stripComment(raw).replace(/\s+$/, '');
+      if (content.trim() === '' || (result.length === 0 && content === '---')) return;
+      const indent = content.length - content.replace(/^ +/, '').length;
+      if (content[indent] === '\t') {
+        throw this._error('Tabs are not allowed for indentation', number);
+      }
+      result.push({ indent, content: content.slice(indent), number });
+    });
+    return result;
+  }
+
+  /**
+   * Remove a trailing comment that is not inside quotes.
+   *
+   * @private
+   */
+  _stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quote) {
+        if (ch === '\\' && quote === '"') i++;
+        else if (ch === quote) quote = null;
+      } else if (ch === '\'' || ch === '"') {
+        quote = ch;
+      } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+        return line.slice(0, i);
+      }
+    }
+    return line;
+  }
+
+  /**
+   * @private
+   */
+  _isSequenceItem(content) {
+    return content === '-' || content.startsWith('- ');
+  }
+
+  /**
+   * @private
+   */
+  _parseBlock(state, indent) {
+    const line = state.lines[state.index];
+    if (this._isSequenceItem(line.content)) {
+      return this._parseSequence(state, indent);
+    }
+    if (this._findKeySeparator(line.content) !== -1) {
+      return this._parseMapping(state, indent);
+    }
+    state.index++;
+    return this._parseInline(line.content, line.number);
+  }
+
+  /**
+   * @private
+   */
+  _parseSequence(state, indent) {
+    const items = [];
+
+    while (state.index < state.lines.length) {
+      const line = state.lines[state.index];
+      if (line.indent < indent) break;
+      if (line.indent > indent) {
+        throw this._error('Unexpected indentation', line.number);
+      }
+      if (!this._isSequenceItem(line.content)) break;
+
+      const rest = line.content.slice(1).replace(/^ +/, '');
+      if (rest === '') {
+        state.index++;
+        items.push(this._parseNested(state, indent));
+      } else if (this._isSequenceItem(rest) || this._findKeySeparator(rest) !== -1) {
+        // "- key: value" starts a mapping aligned with "key", and "- - a"
+        // a nested sequence aligned with the inner "-"
+        const itemIndent = indent + (line.content.length - rest.length);
+        state.lines[state.index] = { indent: itemIndent, content: rest, number: line.number };
+        items.push(this._parseBlock(state, itemIndent));
+      } else {
+        state.index++;
+        items.push(this._parseInline(rest, line.number));
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * @private
+   */
+  _parseMapping(state, indent) {
+    const map = {};
+
+    while (state.index < state.lines.length) {
+      const line = state.lines[state.index];
+      if (line.indent < indent) break;
+      if (line.indent > indent) {
+        throw this._error('Unexpected indentation', line.number);
+      }
+      if (this._isSequenceItem(line.content)) break;
+
+      const sep = this._findKeySeparator(line.content);
+      if (sep === -1) {
+        throw this._error('Expected "key: value"', line.number);
+      }
+      const key = this._parseKey(line.content.slice(0, sep).trim(), line.number);
+      const rest = line.content.slice(sep + 1).trim();
+      this._assertSafeKey(key, line.number);
+      if (Object.prototype.hasOwnProperty.call(map, key)) {
+        throw this._error(`Duplicate key "${key}"`, line.number);
+      }
+
+      state.index++;
+      if (rest !== '') {
+        map[key] = this._parseInline(rest, line.number);
+        continue;
+      }
+
+      const next = state.lines[state.index];
+      if (next && next.indent === indent && this._isSequenceItem(next.content)) {
+        // "key:" followed by a sequence at the same indentation
+        map[key] = this._parseSequence(state, indent);
+      } else {
+        map[key] = this._parseNested(state, indent);
+      }
+    }
+
+    return map;
+  }
+
+  /**
+   * Parse the block nested under a "key:" or "-" line, or null if none.
+   *
+   * @private
+   */
+  _parseNested(state, parentIndent) {
+    const next = state.lines[state.index];
+    if (!next || next.indent <= parentIndent) return null;
+    return this._parseBlock(state, next.indent);
+  }
+
+  /**
+   * Index of the ":" separating a key from its value, or -1.
+   * The colon must be followed by a space or end the line and must not be
+   * inside quotes or flow brackets.
+   *
+   * @private
+   */
+  _findKeySeparator(content) {
+    let quote = null;
+    let depth = 0;
+    for (let i = 0; i < content.length; i++) {
+      const ch = content[i];
+      if (quote) {
+        if (ch === '\\' && quote === '"') i++;
+        else if (ch === quote) quote = null;
+        continue;
+      }
+      if (ch === '\'' || ch === '"') quote = ch;
+      else if (ch === '[' || ch === '{') depth++;
+      else if (ch === ']' || ch === '}') depth--;
+      else if (ch === ':' && depth === 0 && (i === content.length - 1 || content[i + 1] === ' ')) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Reject "__proto__" keys: assigning one would replace the prototype of
+   * the parsed object instead of adding a key.
+   *
+   * @private
+   */
+  _assertSafeKey(key, number) {
+    if (key === '__proto__') {
+      throw this._error('Unsafe key "__proto__"', number);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _parseKey(text, number) {
+    if (text === '') {
+      throw this._error('Empty key', number);
+    }
+    if (text[0] === '\'' || text[0] === '"') {
+      const state = { text, pos: 0, number };
+      const key = this._parseQuoted(state);
+      if (state.pos !== text.length) {
+        throw this._error('Unexpected characters after quoted key', number);
+      }
+      return key;
+    }
+    return text;
+  }
+
+  /**
+   * Parse a value written on a single line: a scalar or a flow collection.
+   *
+   * @private
+   */
+  _parseInline(text, number) {
+    if (text === '|' || text === '>' || /^[|>][+-]?$/.test(text)) {
+      throw this._error('Block scalars are not supported', number);
+    }
+    if (text[0] === '&' || text[0] === '*' || text[0] === '!') {
+      throw this._error('Anchors, aliases and tags are not supported', number);
+    }
+
+    const state = { text, pos: 0, number };
+    const value = this._parseFlowValue(state, false);
+    this._skipSpaces(state);
+    if (state.pos !== text.length) {
+      throw this._error(`Unexpected "${text[state.pos]}"`, number);
+    }
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  _parseFlowValue(state, inFlow) {
+    this._skipSpaces(state);
+    const ch = state.text[state.pos];
+    if (ch === '[') return this._parseFlowSequence(state);
+    if (ch === '{') return this._parseFlowMapping(state);
+    if (ch === '\'' || ch === '"') return this._parseQuoted(state);
+    return this._parsePlain(state, inFlow);
+  }
+
+  /**
+   * @private
+   */
+  _parseFlowSequence(state) {
+    const items = [];
+    state.pos++;
+    this._skipSpaces(state);
+    if (state.text[state.pos] === ']') {
+      state.pos++;
+      return items;
+    }
+    for (;;) {
+      items.push(this._parseFlowValue(state, true));
+      this._skipSpaces(state);
+      const ch = state.text[state.pos++];
+      if (ch === ']') return items;
+      if (ch !== ',') {
+        throw this._error('Expected "," or "]" in flow sequence', state.number);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _parseFlowMapping(state) {
+    const map = {};
+    state.pos++;
+    this._skipSpaces(state);
+    if (state.text[state.pos] === '}') {
+      state.pos++;
+      return map;
+    }
+    for (;;) {
+      this._skipSpaces(state);
+      const ch = state.text[state.pos];
+      let key;
+      if (ch === '\'' || ch === '"') {
+        key = this._parseQuoted(state);
+      } else {
+        const match = /^[^:,{}[\]]+/.exec(state.text.slice(state.pos));
+        if (!match) {
+          throw this._error('Expected key in flow mapping', state.number);
+        }
+        key = match[0].trim();
+        state.pos += match[0].length;
+      }
+      this._skipSpaces(state);
+      if (state.text[state.pos++] !== ':') {
+        throw this._error('Expected ":" in flow mapping', state.number);
+      }
+      this._assertSafeKey(key, state.number);
+      if (Object.prototype.hasOwnProperty.call(map, key)) {
+        throw this._error(`Duplicate key "${key}"`, state.number);
+      }
+      map[key] = this._parseFlowValue(state, true);
+      this._skipSpaces(state);
+      const sep = state.text[state.pos++];
+      if (sep === '}') return map;
+      if (sep !== ',') {
+        throw this._error('Expected "," or "}" in flow mapping', state.number);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _parseQuoted(state) {
+    const quote = state.text[state.pos];
+    let value = '';
+    let i = state.pos + 1;
+
+    while (i < state.text.length) {
+      const ch = state.text[i];
+      if (quote === '\'' && ch === '\'') {
+        if (state.text[i + 1] === '\'') {
+          value += '\'';
+          i += 2;
+          continue;
+        }
+        state.pos = i + 1;
+        return value;
+      }
+      if (quote === '"' && ch === '"') {
+        state.pos = i + 1;
+        return value;
+      }
+      if (quote === '"' && ch === '\\') {
+        const next = state.text[i + 1];
+        const escapes = { 'n': '\n', 't': '\t', 'r': '\r', '"': '"', '\\': '\\', '/': '/', '0': '\0' };
+        if (next === 'u') {
+          value += String.fromCharCode(parseInt(state.text.slice(i + 2, i + 6), 16));
+          i += 6;
+          continue;
+        }
+        if (!Object.prototype.hasOwnProperty.call(escapes, next)) {
+          throw this._error(`Unknown escape "\\${next}"`, state.number);
+        }
+        value += escapes[next];
+        i += 2;
+        continue;
+      }
+      value += ch;
+      i++;
+    }
+
+    throw this._error('Unterminated quoted string', state.number);
+  }
+
+  /**
+   * @private
+   */
+  _parsePlain(state, inFlow) {
+    const rest = state.text.slice(state.pos);
+    const match = inFlow ? /^[^,\]}]*/.exec(rest) : [rest];
+    state.pos += match[0].length;
+    return this._resolvePlain(match[0].trim());
+  }
+
+  /**
+   * Convert a plain scalar to null, boolean, number or string.
+   *
+   * @private
+   */
+  _resolvePlain(text) {
+    if (text === '' || text === '~' || text === 'null') return null;
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (/^[-+]?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][-+]?[0-9]+)?$/.test(text)) return Number(text);
+    return text;
+  }
+
+  /**
+   * @private
+   */
+  _skipSpaces(state) {
+    while (state.text[state.pos] === ' ') state.pos++;
+  }
+
+  /**
+   * @private
+   */
+  _error(message, number) {
+    return new Error(`YAML parse error at line ${number}: ${message}`);
+  }
+}
+
+// CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = YamlParser;
+}
@@ -189,6 +189,26 @@ describe('DataMapper - Integration Tests', () => {
 
       expect(result.status).toBe('active');
     });
+
+    it('should handle enum mapping with a lookup table', () => {
+      const mapping = [
+        {
+          sources: { status_code: 'status_code'},
+          target: 'status',
+          type: 'string',
+          enum: ['active', 'inactive', 'pending'],
+          lookup: { '1': 'active', '2': 'inactive', '3': 'pending' },
+          lookupStrict: true,
+          required: true,
+        },
+      ];
+
+      mapper = new DataMapper(mapping);
+
+      expect(mapper.transform({ status_code: '1' }).status).toBe('active');
+      expect(mapper.reverse({ status: 'pending' })).toEqual({ status_code: '3' });
+      expect(() => mapper.transform({ status_code: '7' })).toThrow('Value "7" has no entry in "lookup"');
+    });
   });
 
   describe('Default values', () => {
@@ -348,6 +368,185 @@ describe('DataMapper - Integration Tests', () => {
     });
   });
 
+  describe('Selector syntax', () => {
+    it('should read bracket indices and quoted keys', () => {
+      const mapping = [
+        { sources: { sku: 'items[1].sku' }, target: 'sku', type: 'string', required: true },
+        { sources: { id: "headers['x-correlation-id']" }, target: 'correlationId', type: 'string', required: true },
+        { sources: { v: 'record["u_custom.field"]' }, target: 'custom', type: 'string', required: true },
+      ];
+
+      mapper = new DataMapper(mapping);
+      const result = mapper.transform({
+        items: [{ sku: 'A-1' }, { sku: 'B-2' }],
+        headers: { 'x-correlation-id': 'abc-123' },
+        record: { 'u_custom.field': 'custom value' },
+      });
+
+      expect(result).toEqual({
+        sku: 'B-2',
+        correlationId: 'abc-123',
+        custom: 'custom value',
+      });
+    });
+
+    it('should project array fields with wildcards', () => {
+      const mapping = [
+        { sources: { skus: 'items[*].sku' }, target: 'skus', type: 'array', items: { type: 'string' } },
+        {
+          sources: { amounts: 'lines.*.amount' },
+          target: 'total',
+          type: 'number',
+          transform: (input) => input.amounts.reduce((sum, n) => sum + n, 0),
+        },
+      ];
+
+      mapper = new DataMapper(mapping);
+      const result = mapper.transform({
+        items: [{ sku: 'A-1' }, { sku: 'B-2' }],
+        lines: [{ amount: 5 }, { amount: 7.5 }],
+      });
+
+      expect(result).toEqual({ skus: ['A-1', 'B-2'], total: 12.5 });
+    });
+
+    it('should select array elements with filter predicates', () => {
+      const mapping = [
+        {
+          sources: { emails: "contacts[?type=='primary'].email" },
+          target: 'primaryEmail',
+          type: 'string',
+          format: 'email',
+          transform: (input) => input.emails[0],
+          required: true,
+        },
+        {
+          sources: { values: "variables[?name=='cost_center'].value" },
+          target: 'costCenters',
+          type: 'array',
+        },
+      ];
+
+      mapper = new DataMapper(mapping);
+      const result = mapper.transform({
+        contacts: [{ type: 'billing', email: 'b@example.com' }, { type: 'primary', email: 'p@example.com' }],
+        variables: [{ name: 'location', value: 'NYC' }, { name: 'cost_center', value: 'CC-100' }],
+      });
+
+      expect(result).toEqual({ primaryEmail: 'p@example.com', costCenters: ['CC-100'] });
+    });
+
+    it('should write to quoted target keys', () => {
+      const mapping = [
+        { sources: { id: 'id' }, target: "meta['x-request-id']", type: 'string', required: true },
+      ];
+
+      mapper = new DataMapper(mapping);
+      expect(mapper.transform({ id: 'r1' })).toEqual({ meta: { 'x-request-id': 'r1' } });
+    });
+  });
+
+  describe('Nested per-item mappings (each)', () => {
+    const lineMapping = [
+      {
+        sources: { lines: 'order_lines' },
+        target: 'lines',
+        type: 'array',
+        each: [
+          { sources: { sku: 'item_sku' }, target: 'sku', type: 'string', required: true },
+          { sources: { amount: 'amt' }, target: 'amount', type: 'number', default: 0 },
+        ],
+      },
+    ];
+
+    it('should map every element through nested rules', () => {
+      mapper = new DataMapper(lineMapping);
+      const result = mapper.transform({
+        order_lines: [{ item_sku: 'A', amt: 5 }, { item_sku: 'B' }],
+      });
+
+      expect(result).toEqual({
+        lines: [{ sku: 'A', amount: 5 }, { sku: 'B', amount: 0 }],
+      });
+    });
+
+    it('should report the element index and nested field in errors', () => {
+      mapper = new DataMapper(lineMapping);
+
+      expect(() => mapper.transform({
+        order_lines: [{ item_sku: 'A', amt: 1 }, { item_sku: 'B', amt: 2 }, { item_sku: 'C', amt: 3 }, { item_sku: 'D', amt: 'x' }],
+      })).toThrow('Transformation failed at field "lines[3].amount": Expected type number but got string');
+    });
+
+    it('should report full paths through multiple nesting levels', () => {
+      mapper = new DataMapper([
+        {
+          sources: { orders: 'orders' },
+          target: 'data.orders',
+          type: 'array',
+          each: [
+            {
+              sources: { lines: 'lines' },
+              target: 'lines',
+              type: 'array',
+              each: [{ sources: { sku: 'sku' }, target: 'sku', type: 'string', required: true }],
+            },
+          ],
+        },
+      ]);
+
+      expect(() => mapper.transform({ orders: [{ lines: [{ sku: 'A' }] }, { lines: [{ sku: 'B' }, {}] }] }))
+        .toThrow('Transformation failed at field "data.orders[1].lines[1].sku": Field "sku" is required');
+    });
+
+    it('should give nested transforms the element as ctx.source', () => {
+      mapper = new DataMapper([
+        {
+          sources: { notes: 'work_notes' },
+          target: 'notes',
+          type: 'array',
+          each: [
+            {
+              sources: { text: 'value' },
+              target: 'text',
+              type: 'string',
+              transform: (input, { source }) => `${source.author}: ${input.text}`,
+            },
+          ],
+        },
+      ]);
+
+      const result = mapper.transform({ work_notes: [{ author: 'jdoe', value: 'Rebooted' }] });
+
+      expect(result).toEqual({ notes: [{ text: 'jdoe: Rebooted' }] });
+    });
+
+    it('should apply "each" to the transform result', () => {
+      mapper = new DataMapper([
+        {
+          sources: { attachments: 'attachments' },
+          target: 'files',
+          type: 'array',
+          transform: (input) => input.attachments.filter(a => a.size > 0),
+          each: [{ sources: { name: 'file_name' }, target: 'name', type: 'string' }],
+        },
+      ]);
+
+      const result = mapper.transform({
+        attachments: [{ file_name: 'a.txt', size: 10 }, { file_name: 'empty.txt', size: 0 }],
+      });
+
+      expect(result).toEqual({ files: [{ name: 'a.txt' }] });
+    });
+
+    it('should reject non-array values', () => {
+      mapper = new DataMapper(lineMapping);
+
+      expect(() => mapper.transform({ order_lines: 'nope' }))
+        .toThrow('Transformation failed at field "lines": "each" requires an array value but got string');
+    });
+  });
+
   describe('Complex real-world scenarios', () => {
     it('should handle ServiceNow to REST API transformation', () => {
       const mapping = [
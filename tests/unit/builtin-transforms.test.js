@@ -0,0 +1,177 @@
+// This file is part of MapperExp.
+//
+// MapperExp is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+//
+// MapperExp is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
+
+const builtins = require('../../src/builtin-transforms.js');
+const DataMapper = require('../../src/data-mapper.js');
+
+/**
+ * Built-in Transforms Test Suite
+ * Tests for the named transforms registered in every DataMapper
+ * ECMAScript 2021 - ServiceNow Compatible
+ */
+
+const run = (name, value, ...args) => builtins[name](value, args, {});
+
+describe('Built-in transforms', () => {
+  describe('Strings', () => {
+    it('should trim and convert case', () => {
+      expect(run('trim', '  a b  ')).toBe('a b');
+      expect(run('lowercase', 'ABC')).toBe('abc');
+      expect(run('uppercase', 'abc')).toBe('ABC');
+      expect(run('capitalize', 'hello world')).toBe('Hello world');
+      expect(run('titleCase', 'hello_big world')).toBe('Hello Big World');
+      expect(run('camelCase', 'first name-id')).toBe('firstNameId');
+      expect(run('snakeCase', 'firstName ID')).toBe('first_name_id');
+      expect(run('kebabCase', 'First Name')).toBe('first-name');
+    });
+
+    it('should slugify, removing accents and punctuation', () => {
+      expect(run('slugify', '  Crème Brûlée: 2 Ways! ')).toBe('creme-brulee-2-ways');
+      expect(run('slugify', 'A B', '_')).toBe('a_b');
+    });
+
+    it('should truncate with an optional suffix', () => {
+      expect(run('truncate', 'abcdef', 4)).toBe('abcd');
+      expect(run('truncate', 'abcdef', 4, '…')).toBe('abc…');
+      expect(run('truncate', 'abc', 4, '…')).toBe('abc');
+      expect(run('truncate', 'abcdef', 2, '...')).toBe('..');
+      expect(() => run('truncate', 'abc')).toThrow('"truncate" needs a non-negative integer length');
+    });
+
+    it('should split and join', () => {
+      expect(run('split', 'a, b,c')).toEqual(['a', ' b', 'c']);
+      expect(run('split', 'a, b,c', ',', true)).toEqual(['a', 'b', 'c']);
+      expect(run('join', ['Ada', null, '', 'Lovelace'])).toBe('Ada Lovelace');
+      expect(run('join', { first: 'Ada', last: 'Lovelace' }, ', ')).toBe('Ada, Lovelace');
+    });
+  });
+
+  describe('Numbers', () => {
+    it('should parse numbers using locale separators', () => {
+      expect(run('parseFloat', '1,234.5')).toBe(1234.5);
+      expect(run('parseFloat', '1.234,5', 'de-DE')).toBe(1234.5);
+      expect(run('parseInt', '1.234,9', 'de-DE')).toBe(1234);
+      expect(run('parseInt', -3.7)).toBe(-3);
+      expect(run('parseFloat', '  ')).toBeUndefined();
+      expect(() => run('parseFloat', '12abc')).toThrow('"parseFloat" cannot parse "12abc" as a number');
+    });
+
+    it('should round, floor and ceil to a number of digits', () => {
+      expect(run('round', 1.005, 2)).toBe(1.01);
+      expect(run('round', 2.5)).toBe(3);
+      expect(run('floor', 1.239, 2)).toBe(1.23);
+      expect(run('ceil', 1231, -2)).toBe(1300);
+      expect(run('round', 1e-7, 2)).toBe(0);
+      expect(run('ceil', 1e-7, 2)).toBe(0.01);
+      expect(run('round', 1.25e-7, 8)).toBe(1.3e-7);
+      expect(run('round', 1e21, 2)).toBe(1e21);
+      expect(run('floor', 1.5e21, -21)).toBe(1e21);
+      expect(() => run('round', 1, 1.5)).toThrow('Rounding digits must be an integer');
+    });
+  });
+
+  describe('Dates', () => {
+    it('should convert between ServiceNow date-times and ISO 8601', () => {
+      expect(run('fromServiceNowDate', '2024-01-15 10:30:00')).toBe('2024-01-15T10:30:00.000Z');
+      expect(run('fromServiceNowDate', '2024-01-15 10:30:00', '+02:00')).toBe('2024-01-15T08:30:00.000Z');
+      expect(run('toServiceNowDate', '2024-01-15T10:30:00Z')).toBe('2024-01-15 10:30:00');
+      expect(run('toServiceNowDate', '2024-01-15T10:30:00+01:00')).toBe('2024-01-15 09:30:00');
+    });
+
+    it('should parse and format with custom patterns and offsets', () => {
+      expect(run('parseDate', '15/01/2024', 'dd/MM/yyyy')).toBe('2024-01-15T00:00:00.000Z');
+      expect(run('formatDate', Date.UTC(2024, 0, 15, 23, 0), 'dd.MM.yyyy HH:mm', '+01:00')).toBe('16.01.2024 00:00');
+      expect(run('formatDate', new Date(Date.UTC(2024, 0, 15)))).toBe('2024-01-15T00:00:00.000Z');
+    });
+
+    it('should shift an instant to another timezone offset', () => {
+      expect(run('shiftTimezone', '2024-01-15T10:30:00Z', '+05:30')).toBe('2024-01-15T16:00:00.000+05:30');
+      expect(run('shiftTimezone', '2024-01-15T10:30:00Z', -480)).toBe('2024-01-15T02:30:00.000-08:00');
+    });
+
+    it('should reject malformed dates and offsets', () => {
+      expect(() => run('fromServiceNowDate', '2024-02-30 00:00:00')).toThrow('invalid date');
+      expect(() => run('parseDate', '2024-02-30')).toThrow('"parseDate" got an invalid date "2024-02-30"');
+      expect(() => run('formatDate', '2024-04-31T10:00:00+02:00')).toThrow('invalid date');
+      expect(run('parseDate', '2024-02-29T23:30:00.5-01:00')).toBe('2024-03-01T00:30:00.500Z');
+      expect(() => run('fromServiceNowDate', '2024-01-15')).toThrow('expects a date matching "yyyy-MM-dd HH:mm:ss"');
+      expect(() => run('formatDate', 'yesterday')).toThrow('"formatDate" cannot read "yesterday" as a date');
+      expect(() => run('shiftTimezone', '2024-01-15', 'CET')).toThrow('Invalid timezone offset "CET"');
+    });
+  });
+
+  describe('Collections', () => {
+    it('should coalesce to the first non-null value', () => {
+      expect(run('coalesce', [null, undefined, 0, 1])).toBe(0);
+      expect(run('coalesce', { mobile: null, phone: '555' })).toBe('555');
+    });
+
+    it('should pick and omit keys', () => {
+      expect(run('pick', { a: 1, b: 2, c: 3 }, 'a', 'c', 'x')).toEqual({ a: 1, c: 3 });
+      expect(run('omit', { a: 1, b: 2, c: 3 }, 'b')).toEqual({ a: 1, c: 3 });
+
+      const picked = run('pick', JSON.parse('{"__proto__":{"x":1},"a":2}'), '__proto__', 'a');
+      expect(Object.getPrototypeOf(picked)).toBe(Object.prototype);
+      expect(picked.x).toBeUndefined();
+      expect(Object.keys(picked)).toEqual(['__proto__', 'a']);
+    });
+
+    it('should flatten, dedupe and take first/last', () => {
+      expect(run('flatten', [1, [2, [3]]])).toEqual([1, 2, [3]]);
+      expect(run('flatten', [1, [2, [3]]], Infinity)).toEqual([1, 2, 3]);
+      expect(run('uniq', [1, '1', 1, { a: 1 }, { a: 1 }])).toEqual([1, '1', { a: 1 }]);
+      expect(run('first', ['a', 'b'])).toBe('a');
+      expect(run('last', ['a', 'b'])).toBe('b');
+    });
+  });
+
+  describe('Input handling', () => {
+    it('should pass null and undefined through unchanged', () => {
+      for (const name of Object.keys(builtins)) {
+        expect(builtins[name](undefined, [], {})).toBeUndefined();
+        expect(builtins[name](null, [], {})).toBeNull();
+      }
+    });
+
+    it('should reject values of the wrong type', () => {
+      expect(() => run('trim', 5)).toThrow('"trim" expects string but got number');
+      expect(() => run('uniq', 'abc')).toThrow('"uniq" expects array but got string');
+    });
+  });
+
+  describe('DataMapper integration', () => {
+    it('should be available by name in every mapper', () => {
+      const mapper = DataMapper.fromJSON([
+        { sources: { v: 'name' }, target: 'slug', type: 'string', transform: ['trim', 'slugify'] },
+        { sources: { v: 'opened_at' }, target: 'openedAt', type: 'string', transform: 'fromServiceNowDate' },
+        { sources: { v: 'total' }, target: 'total', type: 'number', transform: [{ name: 'parseFloat', args: ['de-DE'] }, { name: 'round', args: [1] }] },
+      ]);
+
+      expect(mapper.transform({ name: ' Hello World ', opened_at: '2024-01-15 10:30:00', total: '1.234,56' })).toEqual({
+        slug: 'hello-world',
+        openedAt: '2024-01-15T10:30:00.000Z',
+        total: 1234.6,
+      });
+    });
+
+    it('should let user transforms override built-ins', () => {
+      const mapper = new DataMapper(
+        [{ sources: { v: 'a' }, target: 'a', type: 'string', transform: 'trim' }],
+        { transforms: { trim: (v) => `[${v}]` } }
+      );
+      expect(mapper.transform({ a: ' x ' })).toEqual({ a: '[ x ]' });
+    });
+
+    it('should surface built-in failures as TransformError', () => {
+      const mapper = DataMapper.fromJSON([{ sources: { v: 'n' }, target: 'n', type: 'number', transform: 'parseInt' }]);
+      expect(() => mapper.transform({ n: 'abc' })).toThrow(
+        'Transformation failed at field "n": "parseInt" cannot parse "abc" as a number'
+      );
+    });
+  });
+});
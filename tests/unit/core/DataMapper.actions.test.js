@@ -0,0 +1,160 @@
+const DataMapper = require('../../../src/data-mapper');
+
+describe('DataMapper – rule actions and apply', () => {
+  const existing = () => ({
+    sys_id: 'a1',
+    short_description: 'VPN down',
+    u_legacy_code: 'X1',
+    caller: { name: 'Ada', phone: '555' },
+    tags: ['vpn', 'old'],
+  });
+
+  describe('apply', () => {
+    it('maps onto a copy of the existing document', () => {
+      const mapper = new DataMapper([
+        { sources: { v: 'state' }, target: 'state', type: 'string' },
+        { sources: { v: 'title' }, target: 'short_description', type: 'string' },
+      ]);
+      const doc = existing();
+      const result = mapper.apply({ state: 'resolved', title: 'VPN fixed' }, doc);
+
+      expect(result).toEqual({ ...existing(), state: 'resolved', short_description: 'VPN fixed' });
+      expect(doc).toEqual(existing());
+      expect(result.caller).not.toBe(doc.caller);
+      expect(result.tags).not.toBe(doc.tags);
+    });
+
+    it('supports collectErrors and vars like transform', () => {
+      const mapper = new DataMapper([
+        { sources: { v: '$vars.user' }, target: 'updated_by', type: 'string' },
+        { sources: { v: 'priority' }, target: 'priority', type: 'number' },
+      ]);
+      const { output, errors } = mapper.apply({ priority: 'high' }, existing(), { collectErrors: true, vars: { user: 'admin' } });
+      expect(output.updated_by).toBe('admin');
+      expect(output.u_legacy_code).toBe('X1');
+      expect(errors.map(e => e.target)).toEqual(['priority']);
+    });
+
+    it('rejects non-object documents', () => {
+      const mapper = new DataMapper([{ sources: { v: 'a' }, target: 'a', type: 'string' }]);
+      expect(() => mapper.apply({}, [])).toThrow('"existingTarget" must be an object');
+      expect(() => mapper.apply({})).toThrow('"existingTarget" must be an object');
+    });
+  });
+
+  describe('unset', () => {
+    it('deletes target paths, when its condition holds', () => {
+      const mapper = new DataMapper([
+        { action: 'unset', target: 'u_legacy_code' },
+        { action: 'unset', target: 'caller.phone', when: { path: 'hidePhone', equals: true } },
+        { action: 'unset', target: 'tags[1]' },
+        { action: 'unset', target: 'not.there' },
+      ]);
+      const expected = { ...existing(), caller: { name: 'Ada' }, tags: ['vpn'] };
+      delete expected.u_legacy_code;
+      expect(mapper.apply({ hidePhone: true }, existing())).toEqual(expected);
+      expect(mapper.apply({}, existing()).caller).toEqual({ name: 'Ada', phone: '555' });
+    });
+
+    it('removes values written by earlier rules', () => {
+      const mapper = new DataMapper([
+        { sources: { v: 'name' }, target: 'name', type: 'string' },
+        { action: 'unset', target: 'name', sources: { v: 'anonymous' }, when: (input) => input.v === true },
+      ]);
+      expect(mapper.transform({ name: 'Ada', anonymous: true })).toEqual({});
+      expect(mapper.transform({ name: 'Ada' })).toEqual({ name: 'Ada' });
+    });
+  });
+
+  describe('rename', () => {
+    it('moves a value to a new path', () => {
+      const mapper = new DataMapper([
+        { action: 'rename', from: 'u_legacy_code', target: 'legacy.code' },
+        { action: 'rename', from: 'caller.phone', target: 'contact.phone' },
+        { action: 'rename', from: 'missing', target: 'found' },
+      ]);
+      const result = mapper.apply({}, existing());
+      expect(result.legacy).toEqual({ code: 'X1' });
+      expect(result.contact).toEqual({ phone: '555' });
+      expect(result.caller).toEqual({ name: 'Ada' });
+      expect('u_legacy_code' in result).toBe(false);
+      expect('found' in result).toBe(false);
+    });
+
+    it('reports moved and unset values in explain', () => {
+      const mapper = new DataMapper([
+        { action: 'rename', from: 'u_legacy_code', target: 'code' },
+        { action: 'unset', target: 'tags' },
+        { action: 'unset', target: 'sys_id', when: { path: 'keepId', exists: false } },
+      ]);
+      const { trace } = mapper.explain({ keepId: true });
+      expect(trace.map(step => step.status)).toEqual(['unset', 'unset', 'skipped']);
+      expect(mapper.explain({}).trace[0]).toMatchObject({ target: 'code', status: 'unset', selectors: {} });
+    });
+  });
+
+  it('runs actions after earlier rules on their paths that $out ordering delays', () => {
+    const rules = action => [
+      { sources: { a: '$out.base' }, target: 'tmp', type: 'string' },
+      { sources: { a: 'a' }, target: 'base', type: 'string' },
+      action,
+    ];
+    expect(new DataMapper(rules({ action: 'unset', target: 'tmp' })).transform({ a: 'A' })).toEqual({ base: 'A' });
+    expect(new DataMapper(rules({ action: 'rename', from: 'tmp', target: 'moved' })).transform({ a: 'A' }))
+      .toEqual({ base: 'A', moved: 'A' });
+  });
+
+  it('runs later rules on an action\'s paths after it', () => {
+    const mapper = new DataMapper([
+      { sources: { a: '$out.base' }, target: 'tmp', type: 'string' },
+      { sources: { a: 'a' }, target: 'base', type: 'string' },
+      { action: 'rename', from: 'tmp', target: 'moved' },
+      { sources: { b: 'b' }, target: 'tmp', type: 'string', merge: 'overwrite' },
+    ]);
+    expect(mapper.transform({ a: 'A', b: 'B' })).toEqual({ base: 'A', moved: 'A', tmp: 'B' });
+  });
+
+  it('runs actions in rule order with transformAsync', async () => {
+    const mapper = new DataMapper([
+      { sources: { v: 'name' }, target: 'name', type: 'string', transform: async ({ v }) => v.toUpperCase() },
+      { action: 'rename', from: 'name', target: 'display_name', when: async () => true },
+    ]);
+    await expect(mapper.transformAsync({ name: 'ada' }, { concurrency: 2 })).resolves.toEqual({ display_name: 'ADA' });
+  });
+
+  it('leaves actions out of reverse and of the target conflict check', () => {
+    const mapper = new DataMapper([
+      { sources: { v: 'name' }, target: 'name', type: 'string' },
+      { action: 'unset', target: 'name', when: { path: 'hide', equals: true } },
+      { action: 'rename', from: 'old', target: 'name' },
+    ]);
+    expect(mapper.reverse({ name: 'Ada' })).toEqual({ name: 'Ada' });
+  });
+
+  describe('configuration', () => {
+    it('validates actions and their fields', () => {
+      expect(() => new DataMapper([{ action: 'delete', target: 'a' }])).toThrow(
+        'Rule at index 0: "action" must be one of: set, unset, rename'
+      );
+      expect(() => new DataMapper([{ action: 'unset', target: 'a', type: 'string' }])).toThrow(
+        'Rule at index 0: "type" cannot be used with action "unset"'
+      );
+      expect(() => new DataMapper([{ action: 'rename', target: 'a' }])).toThrow(
+        'Rule at index 0: "from" must be a non-empty string for action "rename"'
+      );
+      expect(() => new DataMapper([{ action: 'unset', target: 'a', from: 'b' }])).toThrow(
+        '"from" is only used by action "rename"'
+      );
+      expect(() => new DataMapper([{ sources: { v: 'b' }, target: 'a', type: 'string', from: 'b' }])).toThrow(
+        '"from" is only used by action "rename"'
+      );
+      expect(() => new DataMapper([{ action: 'unset', target: 'tags[]' }])).toThrow(
+        'Rule at index 0: action "unset" needs a path to a single field, got "tags[]"'
+      );
+      expect(() => new DataMapper([{ action: 'rename', from: 'a.__proto__', target: 'b' }])).toThrow(
+        'Rule at index 0: path "a.__proto__" contains the unsafe segment "__proto__"'
+      );
+      expect(() => new DataMapper([{ action: 'unset', target: 'a', sources: {} }])).toThrow('"sources" cannot be empty');
+    });
+  });
+});
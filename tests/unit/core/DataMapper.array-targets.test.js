@@ -0,0 +1,55 @@
+const DataMapper = require('../../../src/data-mapper');
+
+describe('DataMapper – array targets', () => {
+  const source = { category: 'network', subcategory: 'vpn', sku: 'A-1', qty: 2 };
+
+  it('writes real arrays for indexed targets', () => {
+    const mapper = new DataMapper([
+      { sources: { v: 'sku' }, target: 'lines[0].sku', type: 'string' },
+      { sources: { v: 'qty' }, target: 'lines.0.qty', type: 'number' },
+    ]);
+    const output = mapper.transform(source);
+    expect(output).toEqual({ lines: [{ sku: 'A-1', qty: 2 }] });
+    expect(JSON.stringify(output)).toBe('{"lines":[{"sku":"A-1","qty":2}]}');
+  });
+
+  it('appends values from several rules in rule order', () => {
+    const mapper = new DataMapper([
+      { sources: { v: 'category' }, target: 'tags[]', type: 'string' },
+      { sources: { v: 'missing' }, target: 'tags[]', type: 'string' },
+      { sources: { v: 'subcategory' }, target: 'tags[-]', type: 'string' },
+    ]);
+    expect(mapper.transform(source)).toEqual({ tags: ['network', 'vpn'] });
+  });
+
+  it('orders readers of an array after the rules appending to it', () => {
+    const mapper = new DataMapper([
+      { sources: { tags: '$out.tags' }, target: 'summary', type: 'string', transform: ({ tags }) => tags.join('/') },
+      { sources: { v: 'category' }, target: 'tags[]', type: 'string' },
+    ]);
+    expect(mapper.transform(source)).toEqual({ summary: 'network', tags: ['network'] });
+  });
+
+  it('fails rules whose index would leave a huge gap', () => {
+    const mapper = new DataMapper([
+      { sources: { v: 'sku' }, target: 'lines[1000000000].sku', type: 'string' },
+      { sources: { v: 'sku' }, target: 'first', type: 'string' },
+    ]);
+    expect(() => mapper.transform({ sku: 'A' })).toThrow('would leave a gap of 1000000000 elements');
+    const { output, errors } = mapper.transform({ sku: 'A' }, { collectErrors: true });
+    expect(output).toEqual({ first: 'A' });
+    expect(errors.map(e => e.target)).toEqual(['lines[1000000000].sku']);
+  });
+
+  it('does not reverse append targets', () => {
+    const mapper = new DataMapper([{ sources: { v: 'category' }, target: 'tags[]', type: 'string' }]);
+    expect(() => mapper.reverse({ tags: ['network'] })).toThrow(
+      'Rule at index 0 (target "tags[]") cannot be reversed: its target appends to an array'
+    );
+  });
+
+  it('rejects append segments in sources', () => {
+    const mapper = new DataMapper([{ sources: { v: 'tags[]' }, target: 'tag', type: 'string' }]);
+    expect(() => mapper.transform({ tags: [] })).toThrow('can only be used in a target path');
+  });
+});
@@ -0,0 +1,82 @@
+const DataMapper = require('../../../src/data-mapper');
+
+describe('DataMapper – collectErrors mode', () => {
+  const mapping = [
+    { sources: { id: 'sys_id' }, target: 'id', type: 'string', required: true },
+    { sources: { name: 'caller.name' }, target: 'requester.name', type: 'string', required: true },
+    { sources: { age: 'age' }, target: 'age', type: 'number' },
+    { sources: { email: 'email' }, target: 'email', type: 'string', format: 'email' },
+  ];
+
+  it('returns output and an empty error list when every rule succeeds', () => {
+    const mapper = new DataMapper(mapping);
+    const result = mapper.transform(
+      { sys_id: 'a1', caller: { name: 'John' }, age: 30, email: 'j@example.com' },
+      { collectErrors: true }
+    );
+
+    expect(result).toEqual({
+      output: { id: 'a1', requester: { name: 'John' }, age: 30, email: 'j@example.com' },
+      errors: [],
+    });
+  });
+
+  it('runs every rule and reports each failure', () => {
+    const mapper = new DataMapper(mapping);
+    const { output, errors } = mapper.transform(
+      { sys_id: 'a1', age: 'old', email: 'j@example.com' },
+      { collectErrors: true }
+    );
+
+    expect(output).toEqual({ id: 'a1', email: 'j@example.com' });
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toEqual({
+      target: 'requester.name',
+      ruleIndex: 1,
+      code: 'REQUIRED_FIELD_MISSING',
+      sources: { name: 'caller.name' },
+      message: 'Transformation failed at field "requester.name": Field "requester.name" is required',
+      error: expect.any(Error),
+    });
+    expect(errors[1].target).toBe('age');
+    expect(errors[1].ruleIndex).toBe(2);
+    expect(errors[1].error.message).toBe('Expected type number but got string');
+  });
+
+  it('keeps the original error object, including transform errors', () => {
+    class LookupError extends Error {}
+    const original = new LookupError('user not found');
+    const mapper = new DataMapper([
+      { sources: { id: 'id' }, target: 'user', type: 'string', transform: () => { throw original; } },
+    ]);
+
+    const { errors } = mapper.transform({ id: 'x' }, { collectErrors: true });
+
+    expect(errors[0].error).toBe(original);
+  });
+
+  it('collects element errors from nested "each" rules individually', () => {
+    const mapper = new DataMapper([
+      {
+        sources: { lines: 'lines' },
+        target: 'lines',
+        type: 'array',
+        each: [{ sources: { amount: 'amt' }, target: 'amount', type: 'number', required: true }],
+      },
+    ]);
+
+    const { output, errors } = mapper.transform(
+      { lines: [{ amt: 1 }, {}, { amt: 3 }, { amt: 'x' }] },
+      { collectErrors: true }
+    );
+
+    expect(output).toEqual({ lines: [{ amount: 1 }, {}, { amount: 3 }, {}] });
+    expect(errors.map(e => e.target)).toEqual(['lines[1].amount', 'lines[3].amount']);
+    expect(errors.map(e => e.ruleIndex)).toEqual([0, 0]);
+  });
+
+  it('still throws on the first failure by default', () => {
+    const mapper = new DataMapper(mapping);
+    expect(() => mapper.transform({})).toThrow('Transformation failed at field "id"');
+  });
+});
@@ -60,6 +60,25 @@ describe('DataMapper – config validation', () => {
     expect(() => new DataMapper(bad)).toThrow(/transform/i);
   });
 
+  // --- Optional: each ---
+  it('throws when "each" is not a non-empty array', () => {
+    const bad1 = [{ sources: { lines: 'lines' }, target: 'lines', type: 'array', each: {} }];
+    const bad2 = [{ sources: { lines: 'lines' }, target: 'lines', type: 'array', each: [] }];
+    expect(() => new DataMapper(bad1)).toThrow(/"each" must be a non-empty array/i);
+    expect(() => new DataMapper(bad2)).toThrow(/"each" must be a non-empty array/i);
+  });
+
+  it('throws when a nested "each" rule is invalid', () => {
+    const bad = [{
+      sources: { lines: 'lines' },
+      target: 'lines',
+      type: 'array',
+      each: [{ sources: { sku: 'sku' }, target: 'sku' }],
+    }];
+    expect(() => new DataMapper(bad))
+      .toThrow('Rule at index 0: invalid "each" mapping: Rule at index 0: "type" must be a non-empty string');
+  });
+
   // --- Happy path ---
   it('accepts minimal valid rule (sources, target, type)', () => {
     const good = [{
@@ -0,0 +1,106 @@
+const DataMapper = require('../../../src/data-mapper');
+
+describe('DataMapper – source coverage', () => {
+  const record = {
+    number: 'INC1',
+    caller: { name: 'Ada', email: 'ada@example.com', u_region: 'EMEA' },
+    u_cost_center: 'CC-1',
+    state: '2',
+    lines: [
+      { sku: 'A', qty: 1, u_note: 'x' },
+      { sku: 'B', qty: 2 },
+    ],
+    tags: [],
+    'x-trace': 't1',
+  };
+
+  it('reports source leaves that no selector reads', () => {
+    const mapper = new DataMapper([
+      { sources: { v: 'number' }, target: 'id', type: 'string' },
+      { sources: { n: 'caller.name', e: 'caller.email' }, target: 'requester', type: 'object' },
+      { sources: { v: 'lines[*].sku' }, target: 'skus', type: 'array' },
+    ]);
+
+    expect(mapper.coverage(record).unreadPaths).toEqual([
+      'caller.u_region',
+      'u_cost_center',
+      'state',
+      'lines[0].qty',
+      'lines[0].u_note',
+      'lines[1].qty',
+      'tags',
+      "['x-trace']",
+    ]);
+  });
+
+  it('treats a parent selector and "$" as reading everything below them', () => {
+    expect(new DataMapper([{ sources: { c: 'caller' }, target: 'c', type: 'object' }]).coverage({ caller: record.caller }).unreadPaths)
+      .toEqual([]);
+    expect(new DataMapper([{ sources: { all: '$' }, target: 'all', type: 'object' }]).coverage(record).unreadPaths).toEqual([]);
+  });
+
+  it('counts condition paths as reads and reports selectors that match nothing', () => {
+    const mapper = new DataMapper([
+      { sources: { v: 'number' }, target: 'id', type: 'string', when: { path: 'state', in: ['1', '2'] } },
+      { sources: { v: 'caller.phone' }, target: 'phone', type: 'string', when: { path: 'u_vip', exists: true } },
+      { sources: { t: '$vars.tenant' }, target: 'tenant', type: 'string' },
+    ]);
+    const { unreadPaths, unmatchedSelectors } = mapper.coverage({ number: 'INC1', state: '2' });
+
+    expect(unreadPaths).toEqual([]);
+    expect(unmatchedSelectors).toEqual([
+      { target: 'phone', ruleIndex: 1, key: 'v', selector: 'caller.phone' },
+      { target: 'phone', ruleIndex: 1, key: 'when', selector: 'u_vip' },
+    ]);
+  });
+
+  it('counts fields compared by filter predicates as reads', () => {
+    const mapper = new DataMapper([
+      { sources: { v: "variables[?name=='cost_center'].value" }, target: 'costCenter', type: 'array' },
+    ]);
+    const source = {
+      variables: [
+        { name: 'cost_center', value: 'CC-1' },
+        { name: 'location', value: 'Berlin' },
+      ],
+    };
+
+    expect(mapper.coverage(source).unreadPaths).toEqual(['variables[1].value']);
+  });
+
+  it('follows "each" rules into every element', () => {
+    const mapper = new DataMapper([{
+      sources: { v: 'lines' },
+      target: 'items',
+      type: 'array',
+      each: [
+        { sources: { v: 'sku' }, target: 'sku', type: 'string' },
+        { sources: { v: 'u_note' }, target: 'note', type: 'string' },
+        { sources: { v: 'discount' }, target: 'discount', type: 'number' },
+      ],
+    }]);
+    const { unreadPaths, unmatchedSelectors } = mapper.coverage({ lines: record.lines });
+
+    expect(unreadPaths).toEqual(['lines[0].qty', 'lines[1].qty']);
+    expect(unmatchedSelectors).toEqual([
+      { target: 'items[].discount', ruleIndex: 2, key: 'v', selector: 'discount' },
+    ]);
+  });
+
+  it('treats "each" rules with a transform as reading the whole value', () => {
+    const mapper = new DataMapper([{
+      sources: { v: 'lines' },
+      target: 'items',
+      type: 'array',
+      transform: (input) => input.v.map(line => ({ code: line.sku })),
+      each: [{ sources: { v: 'code' }, target: 'code', type: 'string' }],
+    }]);
+    expect(mapper.coverage({ lines: record.lines })).toEqual({ unreadPaths: [], unmatchedSelectors: [] });
+  });
+
+  it('does not run transforms', () => {
+    const transform = jest.fn();
+    new DataMapper([{ sources: { v: 'number' }, target: 'id', type: 'string', transform }]).coverage(record);
+    expect(transform).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+const DataMapper = require('../../../src/data-mapper');
+
+describe('DataMapper – explain', () => {
+  const mapping = [
+    {
+      sources: { p: 'priority' },
+      target: 'severity',
+      type: 'string',
+      enum: ['critical', 'high', 'low'],
+      transform: 'trim',
+      lookup: { '1': 'critical', '2': 'high' },
+      lookupDefault: 'low',
+    },
+    { sources: { v: 'category' }, target: 'category', type: 'string', default: 'general', maxLength: 20 },
+    { sources: { v: 'vip' }, target: 'vip', type: 'boolean', when: { path: 'vip', exists: true } },
+    { sources: { v: 'age' }, target: 'age', type: 'number', minimum: 0 },
+  ];
+
+  it('reports how every rule produced its value', () => {
+    const { output, errors, trace } = new DataMapper(mapping).explain({ priority: ' 2 ', age: -1 });
+
+    expect(output).toEqual({ severity: 'high', category: 'general' });
+    expect(errors).toHaveLength(1);
+    expect(trace.map(({ durationMs, ...step }) => step)).toEqual([
+      {
+        target: 'severity',
+        ruleIndex: 0,
+        selectors: { p: 'priority' },
+        status: 'written',
+        input: { p: ' 2 ' },
+        transformed: '2',
+        lookedUp: 'high',
+        defaultApplied: false,
+        constraints: ['type', 'enum'],
+        value: 'high',
+        error: undefined,
+        items: undefined,
+      },
+      {
+        target: 'category',
+        ruleIndex: 1,
+        selectors: { v: 'category' },
+        status: 'written',
+        input: { v: undefined },
+        transformed: undefined,
+        lookedUp: undefined,
+        defaultApplied: true,
+        constraints: ['type', 'maxLength'],
+        value: 'general',
+        error: undefined,
+        items: undefined,
+      },
+      expect.objectContaining({ target: 'vip', status: 'skipped', input: { v: undefined }, value: undefined }),
+      expect.objectContaining({
+        target: 'age',
+        status: 'failed',
+        transformed: -1,
+        error: { code: 'VALIDATION_FAILED', message: expect.stringContaining('Transformation failed at field "age"') },
+      }),
+    ]);
+    trace.forEach(step => expect(step.durationMs).toBeGreaterThanOrEqual(0));
+  });
+
+  it('nests the traces of "each" elements', () => {
+    const mapper = new DataMapper([{
+      sources: { v: 'lines' },
+      target: 'lines',
+      type: 'array',
+      each: [{ sources: { q: 'qty' }, target: 'qty', type: 'number' }],
+    }]);
+    const { trace } = mapper.explain({ lines: [{ qty: 1 }, { qty: 'x' }] });
+
+    expect(trace).toHaveLength(1);
+    expect(trace[0].items).toHaveLength(2);
+    expect(trace[0].items[0]).toEqual([expect.objectContaining({ target: 'lines[0].qty', status: 'written', value: 1 })]);
+    expect(trace[0].items[1]).toEqual([expect.objectContaining({ target: 'lines[1].qty', status: 'failed' })]);
+  });
+
+  it('follows execution order and passes vars', () => {
+    const mapper = new DataMapper([
+      { sources: { n: '$out.name' }, target: 'greeting', type: 'string', transform: (input) => `Hi ${input.n}` },
+      { sources: { n: '$vars.user' }, target: 'name', type: 'string' },
+    ]);
+    const { output, trace } = mapper.explain({}, { vars: { user: 'Ada' } });
+    expect(output).toEqual({ name: 'Ada', greeting: 'Hi Ada' });
+    expect(trace.map(step => step.target)).toEqual(['name', 'greeting']);
+  });
+
+  it('reports rules that produced no value as unset', () => {
+    const { output, trace } = new DataMapper([
+      { sources: { v: 'note' }, target: 'note', type: 'string', emptyPolicy: 'omit' },
+    ]).explain({ note: '' });
+    expect(output).toEqual({});
+    expect(trace[0]).toMatchObject({ status: 'unset', transformed: '', defaultApplied: false, value: undefined });
+  });
+
+  it('reports the value a merge strategy actually wrote', () => {
+    const { output, trace } = new DataMapper([
+      { sources: { v: 'a' }, target: 'display', type: 'string' },
+      { sources: { v: 'b' }, target: 'display', type: 'string', merge: 'first-wins' },
+      { sources: { v: 'x' }, target: 'tags', type: 'array' },
+      { sources: { v: 'y' }, target: 'tags', type: 'string', merge: 'append' },
+      { sources: { v: 'p' }, target: 'person', type: 'object' },
+      { sources: { v: 'q' }, target: 'person', type: 'object', merge: 'deep-merge' },
+    ]).explain({ a: 'A', b: 'B', x: ['x'], y: 'y', p: { name: 'Ada' }, q: { dept: 'R&D' } });
+
+    expect(output).toEqual({ display: 'A', tags: ['x', 'y'], person: { name: 'Ada', dept: 'R&D' } });
+    expect(trace.map(({ status, transformed, value }) => ({ status, transformed, value }))).toEqual([
+      { status: 'written', transformed: 'A', value: 'A' },
+      { status: 'kept', transformed: 'B', value: 'A' },
+      { status: 'written', transformed: ['x'], value: ['x'] },
+      { status: 'written', transformed: 'y', value: ['x', 'y'] },
+      { status: 'written', transformed: { name: 'Ada' }, value: { name: 'Ada' } },
+      { status: 'written', transformed: { dept: 'R&D' }, value: { name: 'Ada', dept: 'R&D' } },
+    ]);
+  });
+
+  it('gives the same output as transform', () => {
+    const mapper = new DataMapper(mapping);
+    const source = { priority: '1', category: 'network', vip: true, age: 30 };
+    expect(mapper.explain(source).output).toEqual(mapper.transform(source));
+  });
+});
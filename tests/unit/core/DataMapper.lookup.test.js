@@ -0,0 +1,106 @@
+const DataMapper = require('../../../src/data-mapper');
+const { ValidationError } = require('../../../src/errors');
+
+describe('DataMapper – lookup tables', () => {
+  const severity = (extra = {}) => ({
+    sources: { p: 'priority' },
+    target: 'severity',
+    type: 'string',
+    lookup: { '1': 'critical', '2': 'high', '3': 'moderate' },
+    ...extra,
+  });
+
+  describe('forward mapping', () => {
+    it('translates values by their string form', () => {
+      const mapper = new DataMapper([severity()]);
+      expect(mapper.transform({ priority: '1' })).toEqual({ severity: 'critical' });
+      expect(mapper.transform({ priority: 2 })).toEqual({ severity: 'high' });
+    });
+
+    it('uses lookupDefault, or falls back to undefined, for unknown keys', () => {
+      expect(new DataMapper([severity({ lookupDefault: 'low' })]).transform({ priority: '9' })).toEqual({ severity: 'low' });
+      expect(new DataMapper([severity({ default: 'n/a' })]).transform({ priority: '9' })).toEqual({ severity: 'n/a' });
+    });
+
+    it('lets default and required handle missing source values', () => {
+      const mapper = new DataMapper([severity({ lookupDefault: 'low', default: 'unknown' })]);
+      expect(mapper.transform({})).toEqual({ severity: 'unknown' });
+      expect(() => new DataMapper([severity({ required: true })]).transform({})).toThrow('is required');
+    });
+
+    it('rejects unknown keys with lookupStrict', () => {
+      const mapper = new DataMapper([severity({ lookupStrict: true })]);
+      let error;
+      try {
+        mapper.transform({ priority: '9' });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe('Transformation failed at field "severity": Value "9" has no entry in "lookup"');
+      expect(error.constraint).toBe('lookupStrict');
+    });
+
+    it('looks up the result of a transform', () => {
+      const mapper = new DataMapper([severity({ transform: 'trim' })]);
+      expect(mapper.transform({ priority: ' 3 ' })).toEqual({ severity: 'moderate' });
+    });
+
+    it('does not read inherited properties of the table', () => {
+      const mapper = new DataMapper([severity({ lookupStrict: true })]);
+      expect(() => mapper.transform({ priority: 'constructor' })).toThrow('has no entry in "lookup"');
+    });
+
+    it('works in serialized mappings and transformAsync', async () => {
+      const mapper = DataMapper.fromJSON(JSON.stringify([severity({ lookupDefault: 'low' })]));
+      await expect(mapper.transformAsync({ priority: '2' })).resolves.toEqual({ severity: 'high' });
+    });
+  });
+
+  describe('configuration', () => {
+    it('validates lookup fields', () => {
+      expect(() => new DataMapper([severity({ lookup: ['a'] })])).toThrow('"lookup" must be an object');
+      expect(() => new DataMapper([severity({ lookupStrict: 'yes' })])).toThrow('"lookupStrict" must be a boolean');
+      expect(() => new DataMapper([severity({ lookupStrict: true, lookupDefault: 'low' })])).toThrow(
+        '"lookupStrict" and "lookupDefault" cannot be combined'
+      );
+      expect(() => new DataMapper([{ sources: { a: 'a' }, target: 'b', type: 'string', lookupDefault: 'x' }])).toThrow(
+        'Rule at index 0: "lookupDefault" requires "lookup"'
+      );
+      expect(() => new DataMapper([severity({ sources: { a: 'a', b: 'b' } })])).toThrow(
+        '"lookup" needs a single source or a "transform" producing the key'
+      );
+    });
+
+    it('checks lookup results against the rule enum', () => {
+      const enumValues = ['critical', 'high', 'moderate', 'low'];
+      expect(() => new DataMapper([severity({ enum: enumValues, lookupDefault: 'low' })])).not.toThrow();
+      expect(() => new DataMapper([severity({ enum: enumValues, lookupDefault: 'none' })])).toThrow(
+        'Rule at index 0: lookup value "none" is not in enum [critical, high, moderate, low]'
+      );
+      expect(() => new DataMapper([severity({ enum: ['critical', 'high'] })])).toThrow('lookup value "moderate" is not in enum');
+    });
+  });
+
+  describe('reverse', () => {
+    it('inverts the table', () => {
+      const mapper = new DataMapper([severity({ lookupDefault: 'low' })]);
+      expect(mapper.reverse({ severity: 'high' })).toEqual({ priority: '2' });
+      expect(mapper.reverse({ severity: 'low' })).toEqual({});
+    });
+
+    it('rejects unknown values with lookupStrict', () => {
+      const mapper = new DataMapper([severity({ lookupStrict: true })]);
+      expect(() => mapper.reverse({ severity: 'low' })).toThrow(
+        'Reverse transformation failed at field "severity": Value "low" is not a "lookup" result'
+      );
+    });
+
+    it('refuses tables that map several keys to one value', () => {
+      const mapper = new DataMapper([severity({ lookup: { '1': 'high', '2': 'high' } })]);
+      expect(() => mapper.reverse({ severity: 'high' })).toThrow(
+        'Rule at index 0 (target "severity") cannot be reversed: its "lookup" maps several keys to the same value'
+      );
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const DataMapper = require('../../../src/data-mapper');
+const { MappingError } = require('../../../src/errors');
+
+describe('DataMapper – merge strategies', () => {
+  const source = { name: 'Ada', email: 'ada@example.com', caller: { name: 'Ada', dept: 'R&D' }, tags: ['a', 'b'], tag: 'c' };
+
+  describe('construction-time conflict check', () => {
+    it('rejects rules writing the same target without "merge"', () => {
+      expect(() => new DataMapper([
+        { sources: { v: 'name' }, target: 'requester', type: 'string' },
+        { sources: { v: 'email' }, target: 'requester', type: 'string' },
+      ])).toThrow(
+        'Rule at index 1: target "requester" conflicts with target "requester" of rule at index 0; set "merge" to combine them'
+      );
+    });
+
+    it('rejects parent/child targets in either order', () => {
+      expect(() => new DataMapper([
+        { sources: { v: 'name' }, target: 'requester.name', type: 'string' },
+        { sources: { v: 'caller' }, target: 'requester', type: 'object' },
+      ])).toThrow('Rule at index 1: target "requester" conflicts with target "requester.name"');
+      expect(() => new DataMapper([
+        { sources: { v: 'caller' }, target: 'requester', type: 'object' },
+        { sources: { v: 'email' }, target: 'requester.email', type: 'string' },
+      ])).toThrow('Rule at index 1: target "requester.email" conflicts');
+    });
+
+    it('allows overlapping targets when either rule has a "when"', () => {
+      const mapper = new DataMapper([
+        { sources: { v: 'name' }, target: 'label', type: 'string', when: { path: 'kind', equals: 'user' } },
+        { sources: { v: 'email' }, target: 'label', type: 'string', when: { path: 'kind', equals: 'mail' } },
+        { sources: { v: 'caller' }, target: 'requester', type: 'object' },
+        { sources: { v: 'email' }, target: 'requester.email', type: 'string', when: { path: 'kind', equals: 'mail' } },
+      ]);
+      expect(mapper.transform({ ...source, caller: { name: 'Ada' }, kind: 'mail' })).toEqual({
+        label: 'ada@example.com',
+        requester: { name: 'Ada', email: 'ada@example.com' },
+      });
+      expect(() => new DataMapper([
+        { sources: { v: 'name' }, target: 'label', type: 'string', when: { path: 'kind', equals: 'user' } },
+        { sources: { v: 'name' }, target: 'label', type: 'string' },
+        { sources: { v: 'email' }, target: 'label', type: 'string' },
+      ])).toThrow('Rule at index 2: target "label" conflicts with target "label" of rule at index 1');
+    });
+
+    it('checks in execution order', () => {
+      expect(() => new DataMapper([
+        { sources: { z: '$out.z' }, target: 'a', type: 'object', merge: 'deep-merge' },
+        { sources: { v: 'name' }, target: 'a.b', type: 'string' },
+        { sources: { v: 'name' }, target: 'z', type: 'string' },
+      ])).not.toThrow();
+    });
+
+    it('allows sibling targets and appends', () => {
+      expect(() => new DataMapper([
+        { sources: { v: 'name' }, target: 'requester.name', type: 'string' },
+        { sources: { v: 'email' }, target: 'requester.email', type: 'string' },
+        { sources: { v: 'tag' }, target: 'labels[]', type: 'string' },
+        { sources: { v: 'tag' }, target: 'labels[]', type: 'string' },
+      ])).not.toThrow();
+    });
+
+    it('validates "merge"', () => {
+      const rule = { sources: { v: 'name' }, target: 'name', type: 'string' };
+      expect(() => new DataMapper([{ ...rule, merge: 'replace' }])).toThrow(
+        'Rule at index 0: "merge" must be one of: overwrite, deep-merge, append, error-on-conflict, first-wins'
+      );
+      expect(() => new DataMapper([{ ...rule, target: 'names[]', merge: 'append' }])).toThrow(
+        'Rule at index 0: "merge" cannot be used with an append target'
+      );
+    });
+  });
+
+  describe('strategies', () => {
+    const pair = (merge, second = {}) => new DataMapper([
+      { sources: { v: 'name' }, target: 'requester.name', type: 'string' },
+      { sources: { v: 'caller' }, target: 'requester', type: 'object', merge, ...second },
+    ]);
+
+    it('overwrite replaces the earlier value', () => {
+      expect(pair('overwrite').transform(source)).toEqual({ requester: { name: 'Ada', dept: 'R&D' } });
+      expect(pair('overwrite', { sources: { v: 'email' }, type: 'string' }).transform(source))
+        .toEqual({ requester: 'ada@example.com' });
+    });
+
+    it('deep-merge combines nested objects without touching the source', () => {
+      const mapper = new DataMapper([
+        { sources: { v: 'email' }, target: 'requester.contact.email', type: 'string' },
+        {
+          sources: { v: 'caller' }, target: 'requester', type: 'object', merge: 'deep-merge',
+          transform: ({ v }) => ({ ...v, contact: { phone: '555' } }),
+        },
+      ]);
+      const input = JSON.parse(JSON.stringify(source));
+      expect(mapper.transform(input)).toEqual({
+        requester: { name: 'Ada', dept: 'R&D', contact: { email: 'ada@example.com', phone: '555' } },
+      });
+      expect(input).toEqual(source);
+    });
+
+    it('append concatenates onto an array', () => {
+      const mapper = new DataMapper([
+        { sources: { v: 'tags' }, target: 'tags', type: 'array' },
+        { sources: { v: 'tag' }, target: 'tags', type: 'string', merge: 'append' },
+        { sources: { v: 'tags' }, target: 'tags', type: 'array', merge: 'append' },
+        { sources: { v: 'tag' }, target: 'single', type: 'string', merge: 'append' },
+      ]);
+      expect(mapper.transform(source)).toEqual({ tags: ['a', 'b', 'c', 'a', 'b'], single: ['c'] });
+    });
+
+    it('first-wins keeps the earlier value', () => {
+      const mapper = new DataMapper([
+        { sources: { v: 'nickname' }, target: 'display', type: 'string' },
+        { sources: { v: 'name' }, target: 'display', type: 'string', merge: 'first-wins' },
+      ]);
+      expect(mapper.transform({ nickname: 'Countess', name: 'Ada' })).toEqual({ display: 'Countess' });
+      expect(mapper.transform({ name: 'Ada' })).toEqual({ display: 'Ada' });
+    });
+
+    it('error-on-conflict fails only when both rules write', () => {
+      const mapper = new DataMapper([
+        { sources: { v: 'name' }, target: 'label', type: 'string', when: { path: 'kind', equals: 'user' } },
+        { sources: { v: 'email' }, target: 'label', type: 'string', merge: 'error-on-conflict', when: { path: 'kind', equals: 'mail' } },
+        { sources: { v: 'email' }, target: 'other', type: 'string' },
+        { sources: { v: 'name' }, target: 'other', type: 'string', merge: 'error-on-conflict' },
+      ]);
+      const { output, errors } = mapper.transform({ ...source, kind: 'user' }, { collectErrors: true });
+      expect(output).toEqual({ label: 'Ada', other: 'ada@example.com' });
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toMatchObject({
+        target: 'other',
+        ruleIndex: 3,
+        code: 'TARGET_CONFLICT',
+        message: 'Transformation failed at field "other": Target "other" already has a value',
+      });
+      expect(errors[0].error).toBeInstanceOf(MappingError);
+    });
+
+    it('applies in transformAsync', async () => {
+      await expect(pair('deep-merge').transformAsync(source)).resolves.toEqual({ requester: { name: 'Ada', dept: 'R&D' } });
+    });
+  });
+});
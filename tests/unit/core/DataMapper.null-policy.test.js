@@ -0,0 +1,84 @@
+const DataMapper = require('../../../src/data-mapper');
+const { RequiredFieldError } = require('../../../src/errors');
+
+describe('DataMapper – null and empty value policies', () => {
+  const rule = (extra = {}) => ({ sources: { v: 'assigned_to' }, target: 'assignee', type: 'string', ...extra });
+
+  describe('nullPolicy', () => {
+    it('treats null as missing by default', () => {
+      expect(new DataMapper([rule({ default: 'unassigned' })]).transform({ assigned_to: null }))
+        .toEqual({ assignee: 'unassigned' });
+      expect(new DataMapper([rule()]).transform({ assigned_to: null })).toEqual({});
+      expect(() => new DataMapper([rule({ required: true })]).transform({ assigned_to: null }))
+        .toThrow(RequiredFieldError);
+    });
+
+    it('writes null as a value with "value"', () => {
+      const mapper = new DataMapper([rule({ nullPolicy: 'value', default: 'unassigned', required: true, minLength: 3 })]);
+      expect(mapper.transform({ assigned_to: null })).toEqual({ assignee: null });
+      expect(mapper.transform({})).toEqual({ assignee: 'unassigned' });
+    });
+
+    it('leaves null out of the output with "omit", without applying the default', () => {
+      const mapper = new DataMapper([rule({ nullPolicy: 'omit', default: 'unassigned' })]);
+      expect(mapper.transform({ assigned_to: null })).toEqual({});
+      expect(mapper.transform({})).toEqual({ assignee: 'unassigned' });
+      expect(() => new DataMapper([rule({ nullPolicy: 'omit', required: true })]).transform({ assigned_to: null }))
+        .toThrow('is required');
+    });
+
+    it('applies to null produced by transforms and defaults', () => {
+      const mapper = new DataMapper([
+        rule({ transform: () => null, nullPolicy: 'value' }),
+        rule({ target: 'fallback', default: null }),
+      ]);
+      expect(mapper.transform({})).toEqual({ assignee: null });
+    });
+  });
+
+  describe('emptyPolicy', () => {
+    const tags = (extra = {}) => ({ sources: { v: 'tags' }, target: 'tags', type: 'array', minItems: 1, ...extra });
+
+    it('keeps empty strings and arrays as values by default', () => {
+      expect(new DataMapper([rule()]).transform({ assigned_to: '' })).toEqual({ assignee: '' });
+      expect(() => new DataMapper([tags()]).transform({ tags: [] })).toThrow('less than minimum 1');
+    });
+
+    it('treats empty values as missing with "missing"', () => {
+      expect(new DataMapper([rule({ emptyPolicy: 'missing', default: 'unassigned' })]).transform({ assigned_to: '' }))
+        .toEqual({ assignee: 'unassigned' });
+      expect(new DataMapper([tags({ emptyPolicy: 'missing' })]).transform({ tags: [] })).toEqual({});
+      expect(() => new DataMapper([tags({ emptyPolicy: 'missing', required: true })]).transform({ tags: [] }))
+        .toThrow(RequiredFieldError);
+    });
+
+    it('leaves empty values out with "omit"', () => {
+      const mapper = new DataMapper([tags({ emptyPolicy: 'omit', default: ['none'] })]);
+      expect(mapper.transform({ tags: [] })).toEqual({});
+      expect(mapper.transform({})).toEqual({ tags: ['none'] });
+    });
+  });
+
+  describe('mapper-level policies', () => {
+    it('apply to every rule, including nested each rules, unless a rule overrides them', async () => {
+      const mapper = new DataMapper([
+        rule(),
+        rule({ target: 'kept', nullPolicy: 'missing' }),
+        { sources: { v: 'lines' }, target: 'lines', type: 'array', each: [{ sources: { v: 'sku' }, target: 'sku', type: 'string' }] },
+      ], { nullPolicy: 'value', emptyPolicy: 'omit' });
+      const source = { assigned_to: null, lines: [{ sku: null }, { sku: '' }] };
+
+      expect(mapper.transform(source)).toEqual({ assignee: null, lines: [{ sku: null }, {}] });
+      await expect(mapper.transformAsync(source)).resolves.toEqual({ assignee: null, lines: [{ sku: null }, {}] });
+    });
+
+    it('validates policy names', () => {
+      expect(() => new DataMapper([rule()], { nullPolicy: 'skip' })).toThrow(
+        '"nullPolicy" must be one of: missing, value, omit'
+      );
+      expect(() => new DataMapper([rule({ emptyPolicy: true })])).toThrow(
+        'Rule at index 0: "emptyPolicy" must be one of: missing, value, omit'
+      );
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const DataMapper = require('../../../src/data-mapper');
+
+describe('DataMapper – output references', () => {
+  const title = {
+    sources: { number: '$out.number', name: '$out.requester.name' },
+    target: 'displayTitle',
+    type: 'string',
+    transform: (input) => `${input.number} (${input.name})`,
+  };
+  const number = { sources: { v: 'number' }, target: 'number', type: 'string' };
+  const requester = {
+    sources: { first: 'caller.first', last: 'caller.last' },
+    target: 'requester.name',
+    type: 'string',
+    transform: 'join',
+  };
+  const source = { number: 'INC1', caller: { first: 'Ada', last: 'Lovelace' } };
+
+  describe('ordering', () => {
+    it('runs rules after the rules whose output they read', () => {
+      const mapper = new DataMapper([title, number, requester]);
+      expect(mapper.transform(source)).toEqual({
+        number: 'INC1',
+        requester: { name: 'Ada Lovelace' },
+        displayTitle: 'INC1 (Ada Lovelace)',
+      });
+      expect(mapper.levels.map(level => level.map(r => r.target))).toEqual([
+        ['number', 'requester.name'],
+        ['displayTitle'],
+      ]);
+    });
+
+    it('keeps mapping order for rules without references', () => {
+      const mapper = new DataMapper([requester, number]);
+      expect(mapper.levels.map(level => level.map(r => r.__index))).toEqual([[0, 1]]);
+    });
+
+    it('treats a parent path as depending on every rule below it', () => {
+      const mapper = new DataMapper([
+        { sources: { r: '$out.requester' }, target: 'summary', type: 'string', transform: (input) => Object.keys(input.r).join(',') },
+        requester,
+        { sources: { v: 'caller.email' }, target: 'requester.email', type: 'string', default: 'n/a' },
+      ]);
+      expect(mapper.transform(source)).toEqual({
+        requester: { name: 'Ada Lovelace', email: 'n/a' },
+        summary: 'name,email',
+      });
+    });
+
+    it('supports "$out" conditions and explicit dependsOn for ctx.output', () => {
+      const mapper = new DataMapper([
+        {
+          sources: { v: 'number' },
+          target: 'label',
+          type: 'string',
+          dependsOn: ['requester.name'],
+          transform: (input, ctx) => `${input.v} for ${ctx.output.requester.name}`,
+        },
+        {
+          sources: { v: 'urgent' },
+          target: 'flag',
+          type: 'string',
+          when: { path: '$out.requester.name', exists: true },
+          default: 'normal',
+        },
+        requester,
+      ]);
+      expect(mapper.transform(source)).toEqual({
+        requester: { name: 'Ada Lovelace' },
+        label: 'INC1 for Ada Lovelace',
+        flag: 'normal',
+      });
+    });
+
+    it('gives "$out" the whole output built so far', () => {
+      const mapper = new DataMapper([
+        { sources: { all: '$out' }, target: 'keys', type: 'array', transform: (input) => Object.keys(input.all) },
+        number,
+      ]);
+      expect(mapper.transform(source)).toEqual({ number: 'INC1', keys: ['number'] });
+    });
+
+    it('orders rules within nested "each" mappings', () => {
+      const mapper = new DataMapper([{
+        sources: { v: 'lines' },
+        target: 'lines',
+        type: 'array',
+        each: [
+          { sources: { t: '$out.total' }, target: 'label', type: 'string', transform: (input) => `total ${input.t}` },
+          { sources: { q: 'qty', p: 'price' }, target: 'total', type: 'number', transform: (input) => input.q * input.p },
+        ],
+      }]);
+      expect(mapper.transform({ lines: [{ qty: 2, price: 5 }] })).toEqual({ lines: [{ total: 10, label: 'total 10' }] });
+    });
+  });
+
+  describe('transformAsync', () => {
+    it('waits for dependencies before running dependent rules', async () => {
+      const mapper = new DataMapper([
+        title,
+        { ...number, transform: async (input) => input.v },
+        requester,
+      ]);
+      await expect(mapper.transformAsync(source, { concurrency: 3 })).resolves.toEqual({
+        number: 'INC1',
+        requester: { name: 'Ada Lovelace' },
+        displayTitle: 'INC1 (Ada Lovelace)',
+      });
+    });
+
+    it('stops before later levels when a rule fails', async () => {
+      const later = jest.fn(() => 'x');
+      const mapper = new DataMapper([
+        { sources: { n: '$out.number' }, target: 'b', type: 'string', transform: later },
+        { ...number, transform: async () => { throw new Error('down'); } },
+      ]);
+      await expect(mapper.transformAsync(source)).rejects.toThrow('Transformation failed at field "number": down');
+      expect(later).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('configuration', () => {
+    it('detects cycles at construction', () => {
+      expect(() => new DataMapper([
+        { sources: { b: '$out.b' }, target: 'a', type: 'string' },
+        { sources: { c: '$out.c' }, target: 'b', type: 'string' },
+        { sources: { a: '$out.a' }, target: 'c', type: 'string' },
+      ])).toThrow('Rule at index 0: circular output reference: "a" -> "b" -> "c" -> "a"');
+    });
+
+    it('rejects rules that read their own target', () => {
+      expect(() => new DataMapper([{ sources: { a: '$out.a.b' }, target: 'a', type: 'string' }])).toThrow(
+        'Rule at index 0: circular output reference: "a" reads itself'
+      );
+    });
+
+    it('rejects references that no rule writes', () => {
+      expect(() => new DataMapper([{ sources: { x: '$out.missing' }, target: 'a', type: 'string' }])).toThrow(
+        'Rule at index 0: output reference "missing" does not match the target of any rule'
+      );
+      expect(() => new DataMapper([{ sources: { v: 'a' }, target: 'a', type: 'string', dependsOn: 'b' }])).toThrow(
+        '"dependsOn" must be an array of target paths'
+      );
+    });
+
+    it('does not reverse "$out" sources', () => {
+      const mapper = new DataMapper([number, { ...title, transform: undefined, sources: { n: '$out.number' } }]);
+      expect(() => mapper.reverse({ number: 'INC1', displayTitle: 'INC1' })).toThrow(
+        'source selector "$out.number" cannot be used as a destination'
+      );
+    });
+  });
+});
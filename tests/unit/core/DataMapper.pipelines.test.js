@@ -0,0 +1,118 @@
+const DataMapper = require('../../../src/data-mapper');
+const { TransformError, ValidationError } = require('../../../src/errors');
+
+describe('DataMapper – transform pipelines', () => {
+  const rule = (transform, extra = {}) => ({
+    sources: { s: 'short_description' },
+    target: 'title',
+    type: 'string',
+    transform,
+    ...extra,
+  });
+
+  describe('composition', () => {
+    it('mixes functions and registry names left to right', () => {
+      const mapper = new DataMapper([
+        rule([(input) => input.s, 'trim', { name: 'truncate', args: [6] }, (value) => `[${value}]`]),
+      ]);
+      expect(mapper.transform({ short_description: '  VPN not connecting ' })).toEqual({ title: '[VPN no]' });
+    });
+
+    it('gives a leading function the rule input and context', () => {
+      const mapper = new DataMapper([{
+        sources: { first: 'first_name', last: 'last_name' },
+        target: 'name',
+        type: 'string',
+        transform: [(input, ctx) => `${input.first} ${input.last} (${ctx.source.sys_id})`, 'uppercase'],
+      }]);
+      expect(mapper.transform({ first_name: 'Ada', last_name: 'Lovelace', sys_id: 'a1' })).toEqual({ name: 'ADA LOVELACE (A1)' });
+    });
+
+    it('gives later functions the previous result and the context', () => {
+      const seen = [];
+      const mapper = new DataMapper([
+        rule(['trim', (value, ctx) => { seen.push(ctx.source); return value.length; }], { type: 'number' }),
+      ]);
+      const source = { short_description: ' abc ' };
+      expect(mapper.transform(source)).toEqual({ title: 3 });
+      expect(seen).toEqual([source]);
+    });
+
+    it('awaits async steps in transformAsync', async () => {
+      const mapper = new DataMapper([
+        rule(['trim', async (value) => `${value}!`, 'uppercase']),
+      ]);
+      await expect(mapper.transformAsync({ short_description: ' hi ' })).resolves.toEqual({ title: 'HI!' });
+    });
+  });
+
+  describe('errors', () => {
+    it('names the failing step', () => {
+      const mapper = new DataMapper([rule(['trim', { name: 'truncate', args: [-1] }])]);
+      let error;
+      try {
+        mapper.transform({ short_description: 'VPN down' });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(TransformError);
+      expect(error.message).toBe(
+        'Transformation failed at field "title" (step 2: truncate): "truncate" needs a non-negative integer length but got -1'
+      );
+      expect(error.step).toEqual({ number: 2, name: 'truncate' });
+      expect(error.cause.message).toBe('"truncate" needs a non-negative integer length but got -1');
+    });
+
+    it('labels function steps by function name', () => {
+      function explode() {
+        throw new Error('boom');
+      }
+      const mapper = new DataMapper([rule(['trim', explode]), rule([() => { throw new Error('bang'); }], { target: 'other' })]);
+      expect(() => mapper.transform({ short_description: 'x' })).toThrow(
+        'Transformation failed at field "title" (step 2: explode): boom'
+      );
+      expect(mapper.transform({ short_description: 'x' }, { collectErrors: true }).errors.map(e => e.message)).toEqual([
+        'Transformation failed at field "title" (step 2: explode): boom',
+        'Transformation failed at field "other" (step 1: anonymous): bang',
+      ]);
+    });
+
+    it('names the step of a rejected async step', async () => {
+      const mapper = new DataMapper([rule(['trim', async () => { throw new Error('offline'); }, 'uppercase'])]);
+      await expect(mapper.transformAsync({ short_description: 'x' })).rejects.toThrow(
+        'Transformation failed at field "title" (step 2: anonymous): offline'
+      );
+    });
+
+    it('keeps the class of mapping errors thrown by a step', () => {
+      const failure = new ValidationError('not allowed', { constraint: 'enum' });
+      const mapper = new DataMapper([rule(['trim', function check() { throw failure; }])]);
+      let error;
+      try {
+        mapper.transform({ short_description: 'x' });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe('Transformation failed at field "title" (step 2: check): not allowed');
+      expect(error.constraint).toBe('enum');
+      expect(error.cause).toBe(failure);
+    });
+
+    it('names the failing step of an inverse pipeline', () => {
+      const mapper = new DataMapper([
+        rule('trim', { inverseTransform: ['trim', { name: 'parseInt' }] }),
+      ]);
+      expect(() => mapper.reverse({ title: 'abc' })).toThrow(
+        'Reverse transformation failed at field "title" (step 2: parseInt): "parseInt" cannot parse "abc" as a number'
+      );
+    });
+
+    it('keeps single-transform messages without a step', () => {
+      const mapper = new DataMapper([rule({ name: 'truncate', args: [-1] })]);
+      expect(() => mapper.transform({ short_description: 'x' })).toThrow(
+        'Transformation failed at field "title": "truncate" needs'
+      );
+    });
+  });
+});
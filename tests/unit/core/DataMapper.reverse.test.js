@@ -0,0 +1,171 @@
+const DataMapper = require('../../../src/data-mapper');
+const { MappingError, TransformError } = require('../../../src/errors');
+
+describe('DataMapper – reverse', () => {
+  const STATES = { '1': 'new', '2': 'in_progress', '7': 'closed' };
+  const STATE_CODES = { new: '1', in_progress: '2', closed: '7' };
+
+  const mapping = [
+    { sources: { id: 'sys_id' }, target: 'id', type: 'string', required: true },
+    { sources: { short: 'short_description' }, target: 'title', type: 'string' },
+    {
+      sources: { state: 'state' },
+      target: 'status',
+      type: 'string',
+      transform: (input) => STATES[input.state],
+      inverseTransform: (status) => STATE_CODES[status],
+    },
+    {
+      sources: { first: 'caller.first_name', last: 'caller.last_name' },
+      target: 'requester.name',
+      type: 'string',
+      transform: (input) => [input.first, input.last].join(' '),
+      inverseTransform: (name) => {
+        const [first, last] = name.split(' ');
+        return { first, last };
+      },
+    },
+    { sources: { id: "headers['x-correlation-id']" }, target: 'meta.correlationId', type: 'string' },
+  ];
+
+  const source = {
+    sys_id: 'a1',
+    short_description: 'VPN down',
+    state: '2',
+    caller: { first_name: 'John', last_name: 'Doe' },
+    headers: { 'x-correlation-id': 'c-9' },
+  };
+
+  it('round-trips a source through transform and reverse', () => {
+    const mapper = new DataMapper(mapping);
+    const output = mapper.transform(source);
+
+    expect(output).toEqual({
+      id: 'a1',
+      title: 'VPN down',
+      status: 'in_progress',
+      requester: { name: 'John Doe' },
+      meta: { correlationId: 'c-9' },
+    });
+    expect(mapper.reverse(output)).toEqual(source);
+  });
+
+  it('skips targets missing from the output', () => {
+    const mapper = new DataMapper(mapping);
+    expect(mapper.reverse({ id: 'a1' })).toEqual({ sys_id: 'a1' });
+  });
+
+  it('passes the output object as ctx.source to inverse transforms', () => {
+    const inverse = jest.fn(() => 'x');
+    const mapper = new DataMapper([
+      { sources: { v: 'v' }, target: 'w', type: 'string', transform: (i) => i.v, inverseTransform: inverse },
+    ]);
+    const output = { w: 'y' };
+
+    mapper.reverse(output);
+
+    expect(inverse).toHaveBeenCalledWith('y', { source: output });
+  });
+
+  it('reverses nested "each" rules element by element', () => {
+    const mapper = new DataMapper([
+      {
+        sources: { lines: 'order_lines' },
+        target: 'lines',
+        type: 'array',
+        each: [
+          { sources: { sku: 'item_sku' }, target: 'sku', type: 'string' },
+          { sources: { amt: 'amt' }, target: 'amount', type: 'number', transform: (i) => i.amt / 100, inverseTransform: (v) => v * 100 },
+        ],
+      },
+    ]);
+
+    const output = mapper.transform({ order_lines: [{ item_sku: 'A', amt: 150 }, { item_sku: 'B', amt: 200 }] });
+
+    expect(mapper.reverse(output)).toEqual({ order_lines: [{ item_sku: 'A', amt: 150 }, { item_sku: 'B', amt: 200 }] });
+  });
+
+  it('skips rules marked reversible: false', () => {
+    const mapper = new DataMapper([
+      { sources: { id: 'sys_id' }, target: 'id', type: 'string' },
+      { sources: { id: 'sys_id' }, target: 'link', type: 'string', transform: (i) => `/incident/${i.id}`, reversible: false },
+    ]);
+
+    expect(mapper.reverse({ id: 'a1', link: '/incident/a1' })).toEqual({ sys_id: 'a1' });
+  });
+
+  describe('errors', () => {
+    function capture(fn) {
+      try {
+        fn();
+      } catch (err) {
+        return err;
+      }
+      throw new Error('Expected function to throw');
+    }
+
+    it('rejects rules with a transform but no inverseTransform before mapping', () => {
+      const mapper = new DataMapper([
+        { sources: { id: 'sys_id' }, target: 'id', type: 'string' },
+        { sources: { a: 'a', b: 'b' }, target: 'full', type: 'string', transform: (i) => i.a + i.b },
+      ]);
+
+      const err = capture(() => mapper.reverse({ id: 'x', full: 'ab' }));
+
+      expect(err).toBeInstanceOf(MappingError);
+      expect(err.code).toBe('NOT_REVERSIBLE');
+      expect(err.ruleIndex).toBe(1);
+      expect(err.message).toBe(
+        'Rule at index 1 (target "full") cannot be reversed: it has a "transform" but no "inverseTransform" ' +
+        '(set "reversible: false" to skip it)'
+      );
+    });
+
+    it('rejects projection selectors as destinations', () => {
+      const mapper = new DataMapper([{ sources: { skus: 'items[*].sku' }, target: 'skus', type: 'array' }]);
+      expect(() => mapper.reverse({ skus: [] }))
+        .toThrow('Rule at index 0 (target "skus") cannot be reversed: source selector "items[*].sku" cannot be used as a destination');
+    });
+
+    it('checks nested "each" rules too', () => {
+      const mapper = new DataMapper([
+        {
+          sources: { lines: 'lines' },
+          target: 'lines',
+          type: 'array',
+          each: [{ sources: { a: 'a' }, target: 'a', type: 'string', transform: (i) => i.a }],
+        },
+      ]);
+      expect(() => mapper.reverse({ lines: [] })).toThrow(/Rule at index 0 \(target "lines\[\]\.a"\) cannot be reversed/);
+    });
+
+    it('wraps errors thrown by inverse transforms', () => {
+      const mapper = new DataMapper([
+        { sources: { v: 'v' }, target: 'w', type: 'string', transform: (i) => i.v, inverseTransform: () => { throw new Error('nope'); } },
+      ]);
+
+      const err = capture(() => mapper.reverse({ w: 'x' }));
+
+      expect(err).toBeInstanceOf(TransformError);
+      expect(err.message).toBe('Reverse transformation failed at field "w": nope');
+    });
+
+    it('requires multi-source inverse transforms to return an object', () => {
+      const mapper = new DataMapper([
+        { sources: { a: 'a', b: 'b' }, target: 'ab', type: 'string', transform: (i) => i.a + i.b, inverseTransform: (v) => v },
+      ]);
+
+      expect(() => mapper.reverse({ ab: 'xy' }))
+        .toThrow('Reverse transformation failed at field "ab": "inverseTransform" must return an object with keys a, b');
+    });
+
+    it('validates inverseTransform and reversible at construction', () => {
+      expect(() => new DataMapper([{ sources: { v: 'v' }, target: 'v', type: 'string', inverseTransform: 42 }]))
+        .toThrow(/"inverseTransform" must be a function/);
+      expect(() => new DataMapper([{ sources: { v: 'v' }, target: 'v', type: 'string', inverseTransform: 'x' }]))
+        .toThrow(/unknown transform "x" in "inverseTransform"/);
+      expect(() => new DataMapper([{ sources: { v: 'v' }, target: 'v', type: 'string', reversible: 'no' }]))
+        .toThrow(/"reversible" must be a boolean/);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const DataMapper = require('../../../src/data-mapper');
+const TransformRegistry = require('../../../src/transform-registry');
+
+describe('DataMapper – serializable mappings', () => {
+  const transforms = {
+    trim: (value) => (typeof value === 'string' ? value.trim() : value),
+    upper: (value) => value.toUpperCase(),
+    truncate: (value, [max, suffix = '']) => (value.length > max ? value.slice(0, max) + suffix : value),
+    join: (value, [separator = ' ']) => Object.values(value).filter(Boolean).join(separator),
+    split: (value, [separator = ' ']) => value.split(separator),
+    sourceId: (value, args, ctx) => `${ctx.source.sys_id}:${value}`,
+  };
+
+  describe('named transforms', () => {
+    it('resolves a transform name for a single-source rule', () => {
+      const mapper = new DataMapper(
+        [{ sources: { s: 'short_description' }, target: 'title', type: 'string', transform: 'trim' }],
+        { transforms }
+      );
+      expect(mapper.transform({ short_description: '  VPN down ' })).toEqual({ title: 'VPN down' });
+    });
+
+    it('passes args and runs pipelines left to right', () => {
+      const mapper = new DataMapper(
+        [{
+          sources: { s: 'short_description' },
+          target: 'title',
+          type: 'string',
+          transform: ['trim', { name: 'truncate', args: [5, '...'] }, 'upper'],
+        }],
+        { transforms }
+      );
+      expect(mapper.transform({ short_description: '  VPN not connecting ' })).toEqual({ title: 'VPN N...' });
+    });
+
+    it('gives the named input object to the first step of multi-source rules', () => {
+      const mapper = new DataMapper(
+        [{ sources: { first: 'first_name', last: 'last_name' }, target: 'name', type: 'string', transform: { name: 'join', args: [' '] } }],
+        { transforms }
+      );
+      expect(mapper.transform({ first_name: 'John', last_name: 'Doe' })).toEqual({ name: 'John Doe' });
+    });
+
+    it('passes the transform context to named transforms', () => {
+      const mapper = new DataMapper(
+        [{ sources: { n: 'number' }, target: 'ref', type: 'string', transform: 'sourceId' }],
+        { transforms }
+      );
+      expect(mapper.transform({ sys_id: 'a1', number: 'INC1' })).toEqual({ ref: 'a1:INC1' });
+    });
+
+    it('uses named inverse transforms in reverse', () => {
+      const mapper = new DataMapper(
+        [{
+          sources: { first: 'first_name', last: 'last_name' },
+          target: 'name',
+          type: 'string',
+          transform: 'join',
+          inverseTransform: [{ name: 'split', args: [' '] }, 'toNames'],
+        }],
+        { transforms: { ...transforms, toNames: ([first, last]) => ({ first, last }) } }
+      );
+      expect(mapper.reverse({ name: 'John Doe' })).toEqual({ first_name: 'John', last_name: 'Doe' });
+    });
+
+    it('shares the registry with nested "each" rules', () => {
+      const registry = new TransformRegistry(transforms);
+      const mapper = new DataMapper(
+        [{ sources: { l: 'lines' }, target: 'lines', type: 'array', each: [{ sources: { s: 'sku' }, target: 'sku', type: 'string', transform: 'upper' }] }],
+        { transforms: registry }
+      );
+      expect(mapper.transforms).toBe(registry);
+      expect(mapper.transform({ lines: [{ sku: 'a' }] })).toEqual({ lines: [{ sku: 'A' }] });
+    });
+
+    it('awaits async named steps in transformAsync', async () => {
+      const mapper = new DataMapper(
+        [{ sources: { id: 'caller' }, target: 'name', type: 'string', transform: ['lookup', 'upper'] }],
+        { transforms: { ...transforms, lookup: async (id) => `user ${id}` } }
+      );
+      await expect(mapper.transformAsync({ caller: '7' })).resolves.toEqual({ name: 'USER 7' });
+    });
+  });
+
+  describe('validation', () => {
+    const make = (transform) => () => new DataMapper(
+      [{ sources: { v: 'v' }, target: 'v', type: 'string', transform }],
+      { transforms }
+    );
+
+    it('rejects unknown names at construction', () => {
+      expect(make('nope')).toThrow('Rule at index 0: unknown transform "nope" in "transform"');
+      expect(make(['trim', { name: 'nope' }])).toThrow('unknown transform "nope"');
+    });
+
+    it('rejects malformed specs', () => {
+      expect(make([])).toThrow('"transform" pipeline cannot be empty');
+      expect(make({ args: [1] })).toThrow(/"transform" must be a function .*, a transform name, \{ name, args \} or an array of those/);
+      expect(make({ name: 'truncate', args: 5 })).toThrow('"args" of transform "truncate" must be an array');
+    });
+  });
+
+  describe('loaders', () => {
+    const definition = [
+      { sources: { s: 'short_description' }, target: 'title', type: 'string', transform: ['trim', { name: 'truncate', args: [10] }], required: true },
+      { sources: { p: 'priority' }, target: 'urgent', type: 'boolean', when: { path: 'priority', equals: '1' }, transform: 'isOne' },
+    ];
+    const options = { transforms: { ...transforms, isOne: (v) => v === '1' } };
+    const source = { short_description: '  Email is not syncing  ', priority: '1' };
+    const expected = { title: 'Email is n', urgent: true };
+
+    it('loads JSON strings and parsed arrays', () => {
+      expect(DataMapper.fromJSON(JSON.stringify(definition), options).transform(source)).toEqual(expected);
+      expect(DataMapper.fromJSON(definition, options).transform(source)).toEqual(expected);
+    });
+
+    it('accepts a { mapping } wrapper object', () => {
+      expect(DataMapper.fromJSON({ mapping: definition }, options).transform(source)).toEqual(expected);
+    });
+
+    it('reports invalid JSON', () => {
+      expect(() => DataMapper.fromJSON('[{', options)).toThrow(/^Invalid JSON mapping:/);
+    });
+
+    it('loads YAML mapping files', () => {
+      const yaml = [
+        '# incident mapping',
+        'mapping:',
+        '  - sources: { s: short_description }',
+        '    target: title',
+        '    type: string',
+        '    transform: [trim, { name: truncate, args: [10] }]',
+        '    required: true',
+        '  - sources:',
+        '      p: priority',
+        '    target: urgent',
+        '    type: boolean',
+        '    when:',
+        '      path: priority',
+        "      equals: '1'",
+        '    transform: isOne',
+      ].join('\n');
+
+      expect(DataMapper.fromYAML(yaml, options).transform(source)).toEqual(expected);
+    });
+
+    it('validates loaded rules like any other mapping', () => {
+      expect(() => DataMapper.fromYAML('- sources: { v: v }\n  target: v\n  type: string\n  transform: nope', options))
+        .toThrow('unknown transform "nope"');
+    });
+  });
+});
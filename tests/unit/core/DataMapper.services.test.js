@@ -0,0 +1,80 @@
+const DataMapper = require('../../../src/data-mapper');
+const { now, uuid } = require('../../../src/default-helpers');
+
+describe('DataMapper – clock and ID services', () => {
+  const fixedClock = () => new Date('2024-01-15T10:30:00.000Z');
+  const sequentialIds = () => {
+    let n = 0;
+    return () => `id-${++n}`;
+  };
+
+  const mapping = [
+    { sources: { v: 'created' }, target: 'createdAt', type: 'string', default: now() },
+    { sources: { v: 'opened' }, target: 'openedOn', type: 'string', default: now('yyyy-MM-dd HH:mm:ss', '+01:00') },
+    { sources: { v: 'id' }, target: 'id', type: 'string', default: uuid() },
+    {
+      sources: { n: 'number' },
+      target: 'stamp',
+      type: 'string',
+      transform: (input, ctx) => `${input.n}@${ctx.now().getTime()}#${ctx.uuid()}`,
+    },
+  ];
+
+  it('uses the injected clock and idGenerator in defaults and transforms', () => {
+    const mapper = new DataMapper(mapping, { clock: fixedClock, idGenerator: sequentialIds() });
+    expect(mapper.transform({ number: 'INC1' })).toEqual({
+      createdAt: '2024-01-15T10:30:00.000Z',
+      openedOn: '2024-01-15 11:30:00',
+      id: 'id-1',
+      stamp: `INC1@${Date.UTC(2024, 0, 15, 10, 30)}#id-2`,
+    });
+  });
+
+  it('produces identical output across runs with fixed services', () => {
+    const run = () => new DataMapper(mapping, { clock: fixedClock, idGenerator: sequentialIds() }).transform({ number: 'INC1' });
+    expect(run()).toEqual(run());
+  });
+
+  it('keeps source values over generated defaults', () => {
+    const mapper = new DataMapper(mapping, { clock: fixedClock, idGenerator: sequentialIds() });
+    expect(mapper.transform({ number: 'INC1', id: 'given', created: 'yesterday' })).toMatchObject({
+      id: 'given',
+      createdAt: 'yesterday',
+    });
+  });
+
+  it('accepts epoch milliseconds from the clock and returns a fresh Date each time', () => {
+    const dates = [];
+    const mapper = new DataMapper(
+      [{ sources: { v: 'v' }, target: 'v', type: 'number', transform: (input, ctx) => { dates.push(ctx.now()); return 1; } }],
+      { clock: () => 0 }
+    );
+    mapper.transform({});
+    mapper.transform({});
+    expect(dates.map(d => d.toISOString())).toEqual(['1970-01-01T00:00:00.000Z', '1970-01-01T00:00:00.000Z']);
+    expect(dates[0]).not.toBe(dates[1]);
+  });
+
+  it('shares services with nested "each" rules and transformAsync', async () => {
+    const mapper = new DataMapper(
+      [{ sources: { v: 'lines' }, target: 'lines', type: 'array', each: [{ sources: { v: 'id' }, target: 'id', type: 'string', default: uuid() }] }],
+      { idGenerator: sequentialIds() }
+    );
+    expect(mapper.transform({ lines: [{}, {}] })).toEqual({ lines: [{ id: 'id-1' }, { id: 'id-2' }] });
+    await expect(mapper.transformAsync({ lines: [{}] })).resolves.toEqual({ lines: [{ id: 'id-3' }] });
+  });
+
+  it('uses the system clock and random UUIDs by default', () => {
+    const mapper = new DataMapper(mapping);
+    const result = mapper.transform({ number: 'INC1' });
+    expect(Math.abs(Date.parse(result.createdAt) - Date.now())).toBeLessThan(60000);
+    expect(result.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  });
+
+  it('validates the services', () => {
+    expect(() => new DataMapper(mapping, { clock: new Date() })).toThrow('"clock" must be a function');
+    expect(() => new DataMapper(mapping, { idGenerator: 'x' })).toThrow('"idGenerator" must be a function');
+    const mapper = new DataMapper(mapping, { clock: () => 'now' });
+    expect(() => mapper.transform({})).toThrow('"clock" must return a Date or epoch milliseconds');
+  });
+});
@@ -0,0 +1,92 @@
+const DataMapper = require('../../../src/data-mapper');
+const { MissingSourceError } = require('../../../src/errors');
+
+describe('DataMapper – strict source paths', () => {
+  const rules = [
+    { sources: { v: 'caller.emial' }, target: 'email', type: 'string' },
+    { sources: { v: 'short_description' }, target: 'title', type: 'string' },
+  ];
+  const source = { caller: { email: 'a@example.com' }, short_description: 'VPN' };
+
+  it('reads missing paths as undefined by default', () => {
+    const mapper = new DataMapper([{ ...rules[0], default: 'n/a' }, rules[1]]);
+    expect(mapper.transform(source)).toEqual({ email: 'n/a', title: 'VPN' });
+  });
+
+  it('names the first missing segment with the strictSource option', () => {
+    const mapper = new DataMapper(rules, { strictSource: true });
+    let error;
+    try {
+      mapper.transform(source);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(MissingSourceError);
+    expect(error.message).toBe(
+      'Transformation failed at field "email": Source path "caller.emial" does not exist: no "emial" in "caller"'
+    );
+    expect(error).toMatchObject({
+      code: 'SOURCE_PATH_MISSING',
+      constraint: 'strictSource',
+      target: 'email',
+      ruleIndex: 0,
+      selector: 'caller.emial',
+      segment: 'emial',
+    });
+  });
+
+  it('reports a missing top-level field at the source root', () => {
+    const mapper = new DataMapper([rules[1]], { strictSource: true });
+    expect(() => mapper.transform({})).toThrow(
+      'Source path "short_description" does not exist: no "short_description" at the source root'
+    );
+  });
+
+  it('accepts present fields holding null or undefined', () => {
+    const mapper = new DataMapper([
+      { sources: { v: 'caller.email' }, target: 'email', type: 'string', default: 'n/a' },
+      { sources: { v: 'caller.manager.name' }, target: 'manager', type: 'string', default: 'none' },
+    ], { strictSource: true });
+    expect(mapper.transform({ caller: { email: null, manager: null } })).toEqual({ email: 'n/a', manager: 'none' });
+  });
+
+  it('lets rules opt in or out', () => {
+    const optIn = new DataMapper([{ ...rules[0], strictSource: true }]);
+    expect(() => optIn.transform(source)).toThrow(MissingSourceError);
+
+    const optOut = new DataMapper([{ ...rules[0], strictSource: false, default: 'n/a' }, rules[1]], { strictSource: true });
+    expect(optOut.transform(source)).toEqual({ email: 'n/a', title: 'VPN' });
+  });
+
+  it('does not check rules whose condition is false, or $out and $vars selectors', () => {
+    const mapper = new DataMapper([
+      { sources: { v: 'vip.level' }, target: 'level', type: 'string', when: { path: 'kind', equals: 'vip' } },
+      { sources: { v: '$vars.region' }, target: 'region', type: 'string', default: 'eu' },
+      { sources: { v: '$out.region' }, target: 'copy', type: 'string' },
+    ], { strictSource: true });
+    expect(mapper.transform({ kind: 'user' })).toEqual({ region: 'eu', copy: 'eu' });
+  });
+
+  it('applies to nested each rules, transformAsync and collected errors', async () => {
+    const mapper = new DataMapper([
+      { sources: { v: 'lines' }, target: 'lines', type: 'array', each: [{ sources: { v: 'skew' }, target: 'sku', type: 'string' }] },
+    ], { strictSource: true });
+    expect(() => mapper.transform({ lines: [{ sku: 'A' }] })).toThrow(
+      'Transformation failed at field "lines[0].sku": Source path "skew" does not exist'
+    );
+    await expect(mapper.transformAsync({ lines: [{ sku: 'A' }] })).rejects.toThrow(MissingSourceError);
+
+    const strict = new DataMapper(rules, { strictSource: true });
+    const { output, errors } = strict.transform(source, { collectErrors: true });
+    expect(output).toEqual({ title: 'VPN' });
+    expect(errors).toMatchObject([{ target: 'email', code: 'SOURCE_PATH_MISSING', sources: { v: 'caller.emial' } }]);
+    expect(errors[0].error.segment).toBe('emial');
+  });
+
+  it('validates the option and rule field', () => {
+    expect(() => new DataMapper(rules, { strictSource: 'yes' })).toThrow('"strictSource" must be a boolean');
+    expect(() => new DataMapper([{ ...rules[0], strictSource: 1 }])).toThrow(
+      'Rule at index 0: "strictSource" must be a boolean'
+    );
+  });
+});
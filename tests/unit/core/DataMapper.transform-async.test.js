@@ -0,0 +1,154 @@
+const DataMapper = require('../../../src/data-mapper');
+const { TransformError, RequiredFieldError } = require('../../../src/errors');
+
+describe('DataMapper – transformAsync', () => {
+  const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+  it('awaits promise-returning transforms and defaults', async () => {
+    const mapper = new DataMapper([
+      {
+        sources: { id: 'caller_id' },
+        target: 'requester.name',
+        type: 'string',
+        transform: async (input) => delay(5, `user-${input.id}`),
+      },
+      {
+        sources: { rate: 'rate' },
+        target: 'rate',
+        type: 'number',
+        default: () => Promise.resolve(1.1),
+      },
+      { sources: { id: 'sys_id' }, target: 'id', type: 'string' },
+    ]);
+
+    const result = await mapper.transformAsync({ caller_id: '42', sys_id: 'a1' });
+
+    expect(result).toEqual({ requester: { name: 'user-42' }, rate: 1.1, id: 'a1' });
+  });
+
+  it('passes the locked (input, { source }) contract to transforms', async () => {
+    const seen = [];
+    const source = { a: 1 };
+    const mapper = new DataMapper([
+      { sources: { a: 'a' }, target: 'a', type: 'number', transform: async (input, ctx) => { seen.push([input, ctx]); return input.a; } },
+    ]);
+
+    await mapper.transformAsync(source);
+
+    expect(seen).toEqual([[{ a: 1 }, expect.objectContaining({ source })]]);
+    expect(seen[0][1].source).toBe(source);
+  });
+
+  it('writes outputs in rule order regardless of completion order', async () => {
+    const mapper = new DataMapper([
+      { sources: { v: 'v' }, target: 'x', type: 'string', transform: () => delay(20, 'first') },
+      { sources: { v: 'v' }, target: 'x', type: 'string', transform: () => delay(1, 'second'), merge: 'overwrite' },
+    ]);
+
+    const result = await mapper.transformAsync({ v: 1 }, { concurrency: 2 });
+
+    expect(result).toEqual({ x: 'second' });
+  });
+
+  it('limits the number of rules in flight', async () => {
+    let active = 0;
+    let peak = 0;
+    const slow = async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(5);
+      active--;
+      return 'ok';
+    };
+    const mapping = [1, 2, 3, 4, 5].map(n => ({ sources: { v: 'v' }, target: `f${n}`, type: 'string', transform: slow }));
+
+    await new DataMapper(mapping).transformAsync({ v: 1 }, { concurrency: 2 });
+    expect(peak).toBe(2);
+
+    peak = 0;
+    await new DataMapper(mapping).transformAsync({ v: 1 });
+    expect(peak).toBe(1);
+  });
+
+  it('rejects with a TransformError for rejected transforms', async () => {
+    const original = new Error('lookup failed');
+    const mapper = new DataMapper([
+      { sources: { v: 'v' }, target: 'user', type: 'string', transform: () => Promise.reject(original) },
+    ]);
+
+    await expect(mapper.transformAsync({ v: 1 })).rejects.toThrow('Transformation failed at field "user": lookup failed');
+    await expect(mapper.transformAsync({ v: 1 })).rejects.toBeInstanceOf(TransformError);
+  });
+
+  it('reports the first failing rule in mapping order', async () => {
+    const mapper = new DataMapper([
+      { sources: { v: 'v' }, target: 'a', type: 'string', transform: () => delay(20).then(() => { throw new Error('slow failure'); }) },
+      { sources: { v: 'missing' }, target: 'b', type: 'string', required: true },
+    ]);
+
+    await expect(mapper.transformAsync({ v: 1 }, { concurrency: 2 })).rejects.toThrow('slow failure');
+  });
+
+  it('does not start more rules after a failure when throwing', async () => {
+    const calls = [];
+    const mapper = new DataMapper([
+      { sources: { v: 'missing' }, target: 'a', type: 'string', required: true },
+      { sources: { v: 'v' }, target: 'b', type: 'string', transform: async () => { calls.push('b'); return 'b'; } },
+    ]);
+
+    await expect(mapper.transformAsync({ v: 1 })).rejects.toBeInstanceOf(RequiredFieldError);
+    expect(calls).toEqual([]);
+  });
+
+  it('supports collectErrors and nested "each" rules', async () => {
+    const mapper = new DataMapper([
+      {
+        sources: { lines: 'lines' },
+        target: 'lines',
+        type: 'array',
+        each: [{ sources: { c: 'currency' }, target: 'rate', type: 'number', transform: async (input) => delay(1, input.c === 'EUR' ? 1.1 : undefined), required: true }],
+      },
+      { sources: { id: 'id' }, target: 'id', type: 'string', required: true },
+    ]);
+
+    const { output, errors } = await mapper.transformAsync(
+      { lines: [{ currency: 'EUR' }, { currency: 'XXX' }] },
+      { collectErrors: true, concurrency: 4 }
+    );
+
+    expect(output).toEqual({ lines: [{ rate: 1.1 }, {}] });
+    expect(errors.map(e => e.target).sort()).toEqual(['id', 'lines[1].rate']);
+  });
+
+  it('rejects invalid concurrency', async () => {
+    const mapper = new DataMapper([{ sources: { v: 'v' }, target: 'v', type: 'number' }]);
+    await expect(mapper.transformAsync({ v: 1 }, { concurrency: 0 })).rejects.toThrow(/concurrency/);
+  });
+
+  it('tells sync callers to use transformAsync for async rules', () => {
+    const mapper = new DataMapper([
+      { sources: { v: 'v' }, target: 'v', type: 'string', transform: async () => 'x' },
+    ]);
+
+    expect(() => mapper.transform({ v: 1 })).toThrow('"transform" returned a Promise; use transformAsync()');
+  });
+
+  it('does not leave a rejected promise unhandled in sync transform()', async () => {
+    const unhandled = jest.fn();
+    process.on('unhandledRejection', unhandled);
+    try {
+      const mapper = new DataMapper([
+        {
+          sources: { v: 'v' }, target: 'v', type: 'string',
+          transform: async () => { throw new Error('lookup failed'); },
+        },
+      ]);
+
+      expect(() => mapper.transform({ v: 1 })).toThrow('"transform" returned a Promise');
+      await new Promise(resolve => setImmediate(resolve));
+      expect(unhandled).not.toHaveBeenCalled();
+    } finally {
+      process.removeListener('unhandledRejection', unhandled);
+    }
+  });
+});
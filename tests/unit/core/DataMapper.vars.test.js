@@ -0,0 +1,72 @@
+const DataMapper = require('../../../src/data-mapper');
+
+describe('DataMapper – mapping variables', () => {
+  const vars = { tenant: 'acme', api: { baseUrl: 'https://api.example.com' } };
+
+  it('resolves "$vars" selectors in sources', () => {
+    const mapper = new DataMapper([
+      { sources: { t: '$vars.tenant' }, target: 'tenant', type: 'string' },
+      {
+        sources: { base: '$vars.api.baseUrl', id: 'sys_id' },
+        target: 'links.self',
+        type: 'string',
+        transform: (input) => `${input.base}/incidents/${input.id}`,
+      },
+    ]);
+    expect(mapper.transform({ sys_id: 'a1' }, { vars })).toEqual({
+      tenant: 'acme',
+      links: { self: 'https://api.example.com/incidents/a1' },
+    });
+  });
+
+  it('exposes vars to transforms and conditions without touching the source', () => {
+    const source = { number: 'INC1' };
+    const seen = [];
+    const mapper = new DataMapper([{
+      sources: { n: 'number' },
+      target: 'ref',
+      type: 'string',
+      when: { path: '$vars.tenant', equals: 'acme' },
+      transform: (input, ctx) => { seen.push(ctx.source); return `${ctx.vars.tenant}:${input.n}`; },
+    }]);
+
+    expect(mapper.transform(source, { vars })).toEqual({ ref: 'acme:INC1' });
+    expect(mapper.transform(source, { vars: { tenant: 'other' } })).toEqual({});
+    expect(seen).toEqual([{ number: 'INC1' }]);
+  });
+
+  it('defaults to empty vars', () => {
+    const mapper = new DataMapper([{
+      sources: { t: '$vars.tenant' },
+      target: 'tenant',
+      type: 'string',
+      transform: (input, ctx) => `${input.t}/${Object.keys(ctx.vars).length}`,
+    }]);
+    expect(mapper.transform({})).toEqual({ tenant: 'undefined/0' });
+  });
+
+  it('passes vars to nested "each" rules and transformAsync', async () => {
+    const mapper = new DataMapper([{
+      sources: { v: 'lines' },
+      target: 'lines',
+      type: 'array',
+      each: [{ sources: { t: '$vars.tenant', id: 'id' }, target: 'key', type: 'string', transform: 'join' }],
+    }]);
+    const expected = { lines: [{ key: 'acme 1' }, { key: 'acme 2' }] };
+    const source = { lines: [{ id: 1 }, { id: 2 }] };
+
+    expect(mapper.transform(source, { vars })).toEqual(expected);
+    await expect(mapper.transformAsync(source, { vars, concurrency: 2 })).resolves.toEqual(expected);
+  });
+
+  it('rejects non-object vars', async () => {
+    const mapper = new DataMapper([{ sources: { v: 'v' }, target: 'v', type: 'string' }]);
+    expect(() => mapper.transform({}, { vars: 'acme' })).toThrow('"vars" must be an object');
+    await expect(mapper.transformAsync({}, { vars: ['acme'] })).rejects.toThrow('"vars" must be an object');
+  });
+
+  it('does not reverse "$vars" sources', () => {
+    const mapper = new DataMapper([{ sources: { t: '$vars.tenant' }, target: 'tenant', type: 'string' }]);
+    expect(() => mapper.reverse({ tenant: 'acme' })).toThrow('source selector "$vars.tenant" cannot be used as a destination');
+  });
+});
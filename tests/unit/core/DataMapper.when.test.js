@@ -0,0 +1,102 @@
+const DataMapper = require('../../../src/data-mapper');
+
+describe('DataMapper – conditional rules (when)', () => {
+  const closedMapping = [
+    { sources: { id: 'sys_id' }, target: 'id', type: 'string', required: true },
+    {
+      sources: { code: 'close_code' },
+      target: 'resolution.code',
+      type: 'string',
+      required: true,
+      when: { path: 'state', equals: 'closed' },
+    },
+    {
+      sources: { notes: 'close_notes' },
+      target: 'resolution.notes',
+      type: 'string',
+      when: (input, { source }) => source.state === 'closed' && Boolean(input.notes),
+    },
+  ];
+
+  it('applies rules whose condition holds', () => {
+    const mapper = new DataMapper(closedMapping);
+    const result = mapper.transform({ sys_id: 'a', state: 'closed', close_code: 'fixed', close_notes: 'Done' });
+
+    expect(result).toEqual({ id: 'a', resolution: { code: 'fixed', notes: 'Done' } });
+  });
+
+  it('skips rules whose condition is false, including required checks', () => {
+    const mapper = new DataMapper(closedMapping);
+    const result = mapper.transform({ sys_id: 'a', state: 'open' });
+
+    expect(result).toEqual({ id: 'a' });
+  });
+
+  it('passes named input and source to function conditions', () => {
+    const calls = [];
+    const source = { v: 1 };
+    const mapper = new DataMapper([
+      { sources: { v: 'v' }, target: 'v', type: 'number', when: (input, ctx) => { calls.push([input, ctx]); return true; } },
+    ]);
+
+    mapper.transform(source);
+
+    expect(calls).toEqual([[{ v: 1 }, expect.objectContaining({ source })]]);
+  });
+
+  it('supports notEquals, in, exists and combinators', () => {
+    const rule = (when) => new DataMapper([{ sources: { v: 'v' }, target: 'v', type: 'number', when }]);
+    const source = { v: 1, state: 'new', priority: '2', assigned_to: null };
+
+    expect(rule({ path: 'state', notEquals: 'closed' }).transform(source)).toEqual({ v: 1 });
+    expect(rule({ path: 'priority', in: ['1', '2'] }).transform(source)).toEqual({ v: 1 });
+    expect(rule({ path: 'priority', in: [1, 2] }).transform(source)).toEqual({});
+    expect(rule({ path: 'assigned_to', exists: true }).transform(source)).toEqual({});
+    expect(rule({ path: 'assigned_to', exists: false }).transform(source)).toEqual({ v: 1 });
+    expect(rule({ all: [{ path: 'state', equals: 'new' }, { path: 'priority', equals: '2' }] }).transform(source)).toEqual({ v: 1 });
+    expect(rule({ any: [{ path: 'state', equals: 'closed' }, { path: 'priority', equals: '1' }] }).transform(source)).toEqual({});
+    expect(rule({ not: { path: 'state', equals: 'closed' } }).transform(source)).toEqual({ v: 1 });
+  });
+
+  it('does not run the transform of a skipped rule', () => {
+    const transform = jest.fn(() => 'x');
+    const mapper = new DataMapper([
+      { sources: { v: 'v' }, target: 'v', type: 'string', transform, when: { path: 'go', equals: true } },
+    ]);
+
+    mapper.transform({ v: 1, go: false });
+
+    expect(transform).not.toHaveBeenCalled();
+  });
+
+  it('awaits async conditions in transformAsync', async () => {
+    const mapper = new DataMapper([
+      { sources: { v: 'v' }, target: 'v', type: 'number', when: async () => false },
+      { sources: { v: 'v' }, target: 'w', type: 'number', when: async () => true },
+    ]);
+
+    await expect(mapper.transformAsync({ v: 1 })).resolves.toEqual({ w: 1 });
+    expect(() => mapper.transform({ v: 1 })).toThrow('"when" returned a Promise');
+  });
+
+  describe('config validation', () => {
+    const make = (when) => () => new DataMapper([{ sources: { v: 'v' }, target: 'v', type: 'number', when }]);
+
+    it('rejects non-function, non-object conditions', () => {
+      expect(make('state == closed')).toThrow(/Rule at index 0: "when" must be a function or a condition object/);
+      expect(make([])).toThrow(/"when" must be a function or a condition object/);
+    });
+
+    it('rejects conditions without a path or operator', () => {
+      expect(make({ equals: 'closed' })).toThrow(/"path" must be a non-empty string/);
+      expect(make({ path: 'state' })).toThrow(/expected exactly one of equals, notEquals, in, exists/);
+      expect(make({ path: 'state', equals: 'a', notEquals: 'b' })).toThrow(/expected exactly one of/);
+    });
+
+    it('rejects malformed combinators', () => {
+      expect(make({ all: [] })).toThrow(/"all"\/"any" must be a non-empty array/);
+      expect(make({ any: [{ path: 'a' }] })).toThrow(/expected exactly one of/);
+      expect(make({ path: 'a', in: 'b' })).toThrow(/"in" must be an array/);
+    });
+  });
+});
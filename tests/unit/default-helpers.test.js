@@ -0,0 +1,48 @@
+// This file is part of MapperExp.
+//
+// MapperExp is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+//
+// MapperExp is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
+
+const { now, uuid, randomUuid } = require('../../src/default-helpers.js');
+
+/**
+ * Default Helpers Test Suite
+ * Tests for the now() and uuid() default helpers
+ * ECMAScript 2021 - ServiceNow Compatible
+ */
+
+describe('Default helpers', () => {
+  const ctx = {
+    now: () => new Date(Date.UTC(2024, 0, 15, 23, 5, 9)),
+    uuid: () => 'fixed-id',
+  };
+
+  it('should format the context time', () => {
+    expect(now()(ctx)).toBe('2024-01-15T23:05:09.000Z');
+    expect(now('yyyy-MM-dd HH:mm:ss')(ctx)).toBe('2024-01-15 23:05:09');
+    expect(now('dd.MM.yyyy', '+02:00')(ctx)).toBe('16.01.2024');
+  });
+
+  it('should take IDs from the context', () => {
+    expect(uuid()(ctx)).toBe('fixed-id');
+  });
+
+  it('should generate distinct version 4 UUIDs', () => {
+    const a = randomUuid();
+    expect(a).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(randomUuid()).not.toBe(a);
+  });
+
+  it('should fall back to Math.random without crypto.randomUUID', () => {
+    const original = globalThis.crypto;
+    Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+    try {
+      expect(randomUuid()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    } finally {
+      Object.defineProperty(globalThis, 'crypto', { value: original, configurable: true });
+    }
+  });
+});
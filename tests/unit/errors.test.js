@@ -0,0 +1,159 @@
+// This file is part of MapperExp.
+//
+// MapperExp is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+//
+// MapperExp is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
+
+const {
+  MappingError,
+  ValidationError,
+  RequiredFieldError,
+  TransformError,
+  MissingSourceError,
+} = require('../../src/errors.js');
+const DataMapper = require('../../src/data-mapper.js');
+
+/**
+ * Mapping Errors Test Suite
+ * Tests for structured error classes and how DataMapper raises them
+ * ECMAScript 2021 - ServiceNow Compatible
+ */
+
+describe('Mapping errors', () => {
+  function capture(fn) {
+    try {
+      fn();
+    } catch (err) {
+      return err;
+    }
+    throw new Error('Expected function to throw');
+  }
+
+  describe('Error classes', () => {
+    it('should default codes per class', () => {
+      expect(new MappingError('x').code).toBe('MAPPING_ERROR');
+      expect(new ValidationError('x').code).toBe('VALIDATION_FAILED');
+      expect(new RequiredFieldError('x').code).toBe('REQUIRED_FIELD_MISSING');
+      expect(new TransformError('x').code).toBe('TRANSFORM_FAILED');
+      expect(new MissingSourceError('x').code).toBe('SOURCE_PATH_MISSING');
+    });
+
+    it('should extend MappingError and Error', () => {
+      const err = new ValidationError('x');
+      expect(err).toBeInstanceOf(MappingError);
+      expect(err).toBeInstanceOf(Error);
+      expect(err.name).toBe('ValidationError');
+    });
+
+    it('should carry details', () => {
+      const cause = new Error('inner');
+      const err = new ValidationError('x', {
+        code: 'CUSTOM', target: 'a.b', ruleIndex: 2, cause, value: 5, constraint: 'minimum',
+      });
+      expect(err).toMatchObject({
+        code: 'CUSTOM', target: 'a.b', ruleIndex: 2, cause, value: 5, constraint: 'minimum',
+      });
+    });
+
+    it('should serialize to JSON without the cause', () => {
+      const err = new RequiredFieldError('Field "id" is required', { target: 'id', ruleIndex: 0 });
+      expect(JSON.parse(JSON.stringify(err))).toEqual({
+        name: 'RequiredFieldError',
+        code: 'REQUIRED_FIELD_MISSING',
+        message: 'Field "id" is required',
+        target: 'id',
+        ruleIndex: 0,
+        constraint: 'required',
+      });
+    });
+  });
+
+  describe('DataMapper errors', () => {
+    it('should throw ValidationError with target, rule index and original error', () => {
+      const mapper = new DataMapper([
+        { sources: { id: 'id' }, target: 'id', type: 'string' },
+        { sources: { age: 'age' }, target: 'user.age', type: 'integer', minimum: 18 },
+      ]);
+
+      const err = capture(() => mapper.transform({ id: 'a', age: 12 }));
+
+      expect(err).toBeInstanceOf(ValidationError);
+      expect(err.message).toBe('Transformation failed at field "user.age": Number 12 is less than minimum 18');
+      expect(err).toMatchObject({
+        code: 'VALIDATION_FAILED', target: 'user.age', ruleIndex: 1, value: 12, constraint: 'minimum',
+      });
+      expect(err.cause).toBeInstanceOf(ValidationError);
+      expect(err.cause.message).toBe('Number 12 is less than minimum 18');
+    });
+
+    it('should throw RequiredFieldError for missing required values', () => {
+      const mapper = new DataMapper([{ sources: { id: 'id' }, target: 'id', type: 'string', required: true }]);
+
+      const err = capture(() => mapper.transform({}));
+
+      expect(err).toBeInstanceOf(RequiredFieldError);
+      expect(err).toMatchObject({ code: 'REQUIRED_FIELD_MISSING', target: 'id', ruleIndex: 0, constraint: 'required' });
+    });
+
+    it('should throw TransformError keeping the thrown error as cause', () => {
+      const original = new RangeError('rate not cached');
+      const mapper = new DataMapper([
+        { sources: { v: 'v' }, target: 'rate', type: 'number', transform: () => { throw original; } },
+      ]);
+
+      const err = capture(() => mapper.transform({ v: 1 }));
+
+      expect(err).toBeInstanceOf(TransformError);
+      expect(err.message).toBe('Transformation failed at field "rate": rate not cached');
+      expect(err.cause).toBe(original);
+      expect(err.cause.stack).toBe(original.stack);
+    });
+
+    it('should keep MappingErrors thrown by a transform', () => {
+      const mapper = new DataMapper([
+        {
+          sources: { v: 'v' },
+          target: 'v',
+          type: 'string',
+          transform: () => { throw new ValidationError('bad input', { constraint: 'custom' }); },
+        },
+      ]);
+
+      const err = capture(() => mapper.transform({ v: 1 }));
+
+      expect(err).toBeInstanceOf(ValidationError);
+      expect(err.constraint).toBe('custom');
+      expect(err.target).toBe('v');
+    });
+
+    it('should wrap other errors as MappingError', () => {
+      const mapper = new DataMapper([{ sources: { v: 'v' }, target: 'a.b', type: 'string' }]);
+      mapper.setter = { set: () => { throw new TypeError('boom'); } };
+
+      const err = capture(() => mapper.transform({ v: 'x' }));
+
+      expect(err.constructor).toBe(MappingError);
+      expect(err.code).toBe('MAPPING_ERROR');
+      expect(err.cause).toBeInstanceOf(TypeError);
+    });
+
+    it('should report nested "each" errors with the element path', () => {
+      const mapper = new DataMapper([
+        {
+          sources: { lines: 'lines' },
+          target: 'lines',
+          type: 'array',
+          each: [{ sources: { amount: 'amount' }, target: 'amount', type: 'number' }],
+        },
+      ]);
+
+      const err = capture(() => mapper.transform({ lines: [{ amount: 1 }, { amount: '2' }] }));
+
+      expect(err).toBeInstanceOf(ValidationError);
+      expect(err.target).toBe('lines[1].amount');
+      expect(err.ruleIndex).toBe(0);
+    });
+  });
+});
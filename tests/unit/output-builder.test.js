@@ -0,0 +1,75 @@
+// This file is part of MapperExp.
+//
+// MapperExp is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+//
+// MapperExp is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
+
+const OutputBuilder = require('../../src/output-builder.js');
+const DataMapper = require('../../src/data-mapper.js');
+
+/**
+ * OutputBuilder Test Suite
+ * Tests for chained writes and for clean mapper output
+ * ECMAScript 2021 - ServiceNow Compatible
+ */
+
+describe('OutputBuilder', () => {
+  describe('Chaining', () => {
+    it('should chain writes and build a plain object', () => {
+      const output = new OutputBuilder()
+        .set('name', 'John')
+        .set('contact.email', 'john@example.com')
+        .set('tags[]', 'vip')
+        .build();
+      expect(output).toEqual({ name: 'John', contact: { email: 'john@example.com' }, tags: ['vip'] });
+      expect(Object.getPrototypeOf(output)).toBe(Object.prototype);
+      expect(output.set).toBeUndefined();
+    });
+
+    it('should chain removals', () => {
+      const output = new OutputBuilder({ a: 1, b: { c: 2, d: 3 } }).unset('a').unset('b.c').unset('missing.x').build();
+      expect(output).toEqual({ b: { d: 3 } });
+    });
+
+    it('should write into an existing object in place', () => {
+      const existing = { id: 1 };
+      expect(new OutputBuilder(existing).set('name', 'John').build()).toBe(existing);
+      expect(existing).toEqual({ id: 1, name: 'John' });
+    });
+
+    it('should apply the target path checks', () => {
+      expect(() => new OutputBuilder().set('items[*].sku', 'A')).toThrow('Wildcard selectors cannot be used as a target path');
+      expect(() => new OutputBuilder().set('__proto__.x', 1)).toThrow('Unsafe segment "__proto__"');
+    });
+
+    it('should reject non-object targets', () => {
+      expect(() => new OutputBuilder([])).toThrow('Target must be an object');
+      expect(() => new OutputBuilder(null)).toThrow('Target must be an object');
+    });
+  });
+
+  describe('DataMapper output', () => {
+    const mapper = new DataMapper([
+      { sources: { v: 'name' }, target: 'user.name', type: 'string' },
+      { sources: { v: 'set' }, target: 'set', type: 'string' },
+    ]);
+
+    it('should not carry hidden properties', () => {
+      const output = mapper.transform({ name: 'Ada' });
+      expect(Object.getOwnPropertyNames(output)).toEqual(['user']);
+      expect(Object.getOwnPropertyNames(output.user)).toEqual(['name']);
+      expect('set' in output).toBe(false);
+    });
+
+    it('should map a real "set" field', () => {
+      expect(mapper.transform({ name: 'Ada', set: 'A' })).toEqual({ user: { name: 'Ada' }, set: 'A' });
+    });
+
+    it('should extend mapper output with chained writes', () => {
+      const payload = new OutputBuilder(mapper.transform({ name: 'Ada' })).set('meta.source', 'servicenow').build();
+      expect(payload).toEqual({ user: { name: 'Ada' }, meta: { source: 'servicenow' } });
+    });
+  });
+});
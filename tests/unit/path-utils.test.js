@@ -58,6 +58,185 @@ describe('PathUtils', () => {
     });
   });
 
+  describe('parsePath - Bracket and quoted syntax', () => {
+    it('should parse bracket array index', () => {
+      expect(pathUtils.parsePath('items[0].sku')).toEqual(['items', '0', 'sku']);
+    });
+
+    it('should parse consecutive bracket indices', () => {
+      expect(pathUtils.parsePath('matrix[1][2]')).toEqual(['matrix', '1', '2']);
+    });
+
+    it('should parse path starting with a bracket', () => {
+      expect(pathUtils.parsePath('[0].name')).toEqual(['0', 'name']);
+    });
+
+    it('should parse single-quoted key with dashes', () => {
+      expect(pathUtils.parsePath("metadata['x-custom']")).toEqual(['metadata', 'x-custom']);
+    });
+
+    it('should parse double-quoted key containing dots', () => {
+      expect(pathUtils.parsePath('record["u_custom.field"].value'))
+        .toEqual(['record', 'u_custom.field', 'value']);
+    });
+
+    it('should parse escaped quote inside quoted key', () => {
+      expect(pathUtils.parsePath("a['it\\'s']")).toEqual(['a', "it's"]);
+    });
+
+    it('should parse escaped dot in unquoted key', () => {
+      expect(pathUtils.parsePath('record.u_custom\\.field'))
+        .toEqual(['record', 'u_custom.field']);
+    });
+
+    it('should keep quoted numeric keys as properties', () => {
+      expect(pathUtils.tokenize("a['0']")).toEqual([
+        { type: 'property', value: 'a', position: 0 },
+        { type: 'property', value: '0', quoted: true, position: 1 },
+      ]);
+    });
+
+    it('should tokenize bracket indices as numbers', () => {
+      expect(pathUtils.tokenize('items[12]')).toEqual([
+        { type: 'property', value: 'items', position: 0 },
+        { type: 'index', value: 12, position: 5 },
+      ]);
+    });
+
+    it('should not treat dots inside quotes as separators', () => {
+      expect(pathUtils.parsePath("a['b..c']")).toEqual(['a', 'b..c']);
+    });
+  });
+
+  describe('tokenize - Wildcards', () => {
+    it('should tokenize bracket wildcard', () => {
+      expect(pathUtils.tokenize('items[*].sku')).toEqual([
+        { type: 'property', value: 'items', position: 0 },
+        { type: 'wildcard', value: '*', position: 5 },
+        { type: 'property', value: 'sku', position: 9 },
+      ]);
+    });
+
+    it('should tokenize dot wildcard', () => {
+      expect(pathUtils.tokenize('lines.*.amount').map(t => t.type))
+        .toEqual(['property', 'wildcard', 'property']);
+    });
+
+    it('should treat quoted and escaped stars as property names', () => {
+      expect(pathUtils.tokenize("a['*']")[1].type).toBe('property');
+      expect(pathUtils.tokenize('a.\\*')[1].type).toBe('property');
+    });
+
+    it('should return wildcard as "*" from parsePath', () => {
+      expect(pathUtils.parsePath('lines[*].amount')).toEqual(['lines', '*', 'amount']);
+    });
+  });
+
+  describe('tokenize - Filters', () => {
+    it('should tokenize a filter segment', () => {
+      const tokens = pathUtils.tokenize("contacts[?type=='primary'].email");
+      expect(tokens.map(t => t.type)).toEqual(['property', 'filter', 'property']);
+      expect(tokens[1].value).toBe("?type=='primary'");
+      expect(tokens[1].predicate).toEqual({
+        type: 'compare',
+        operator: '==',
+        left: { type: 'path', tokens: [{ type: 'property', value: 'type', position: 0 }] },
+        right: { type: 'literal', value: 'primary' },
+      });
+    });
+
+    it('should not end the filter at a bracket inside quotes', () => {
+      const tokens = pathUtils.tokenize("a[?@['x]y']=='z'].b");
+      expect(tokens.map(t => t.type)).toEqual(['property', 'filter', 'property']);
+    });
+
+    it('should throw on unterminated filter', () => {
+      expect(() => pathUtils.tokenize("a[?type=='x'"))
+        .toThrow('Unterminated filter expression at position 1');
+    });
+
+    it('should throw on empty filter', () => {
+      expect(() => pathUtils.tokenize('a[?].b'))
+        .toThrow('Expected filter expression at position 3');
+    });
+
+    it('should report the position of an unexpected filter token', () => {
+      expect(() => pathUtils.tokenize("a[?type=='x' 'y']"))
+        .toThrow('Unexpected "\'y\'" in filter expression at position 13');
+    });
+
+    it('should throw on a dangling comparison', () => {
+      expect(() => pathUtils.tokenize('a[?qty >]'))
+        .toThrow('Unexpected end of filter expression at position 8');
+    });
+
+    it('should throw on unknown characters', () => {
+      expect(() => pathUtils.tokenize('a[?qty + 1]'))
+        .toThrow('Unexpected character "+" in filter expression at position 7');
+    });
+  });
+
+  describe('tokenize - Append segments', () => {
+    it('should tokenize [] and [-] as append segments', () => {
+      expect(pathUtils.tokenize('tags[]')).toEqual([
+        { type: 'property', value: 'tags', position: 0 },
+        { type: 'append', value: '-', position: 4 },
+      ]);
+      expect(pathUtils.tokenize('lines[-].sku').map(t => t.type)).toEqual(['property', 'append', 'property']);
+    });
+
+    it('should keep a quoted "-" as a property', () => {
+      expect(pathUtils.tokenize("a['-']")[1]).toEqual({ type: 'property', value: '-', quoted: true, position: 1 });
+    });
+  });
+
+  describe('parsePath - Syntax errors', () => {
+    it('should throw on unterminated bracket', () => {
+      expect(() => pathUtils.parsePath('items[0'))
+        .toThrow('Expected "]" at position 7 in path "items[0"');
+    });
+
+    it('should throw on unterminated quoted key', () => {
+      expect(() => pathUtils.parsePath("meta['x-id]"))
+        .toThrow('Unterminated quoted key at position 5');
+    });
+
+    it('should throw on non-numeric unquoted bracket content', () => {
+      expect(() => pathUtils.parsePath('items[abc]'))
+        .toThrow('Expected array index, "*", "-", filter or quoted key at position 6');
+    });
+
+    it('should throw on characters directly after a bracket', () => {
+      expect(() => pathUtils.parsePath('items[0]sku'))
+        .toThrow('Unexpected character "s" at position 8');
+    });
+
+    it('should throw on stray closing bracket', () => {
+      expect(() => pathUtils.parsePath('items]'))
+        .toThrow('Unexpected character "]" at position 5');
+    });
+
+    it('should throw on dot followed by bracket', () => {
+      expect(() => pathUtils.parsePath('items.[0]'))
+        .toThrow('Expected property name at position 6');
+    });
+
+    it('should throw on dangling escape', () => {
+      expect(() => pathUtils.parsePath('name\\'))
+        .toThrow('Dangling escape character at position 4');
+    });
+  });
+
+  describe('isValidPath', () => {
+    it('should return true for valid bracket paths', () => {
+      expect(pathUtils.isValidPath("a[0]['b-c'].d")).toBe(true);
+    });
+
+    it('should return false for malformed paths', () => {
+      expect(pathUtils.isValidPath('a[')).toBe(false);
+    });
+  });
+
   describe('parsePath - Edge Cases', () => {
     it('should throw on null path', () => {
       expect(() => pathUtils.parsePath(null))
@@ -0,0 +1,181 @@
+// This file is part of MapperExp.
+//
+// MapperExp is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+//
+// MapperExp is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
+
+const ValueSetter = require('../../src/value-setter.js');
+const ValueExtractor = require('../../src/value-extractor.js');
+const PathUtils = require('../../src/path-utils.js');
+const YamlParser = require('../../src/yaml-parser.js');
+const DataMapper = require('../../src/data-mapper.js');
+
+/**
+ * Prototype Pollution Test Suite
+ * Tests that malicious paths and keys cannot reach or modify prototypes
+ * ECMAScript 2021 - ServiceNow Compatible
+ */
+
+describe('Prototype pollution', () => {
+  let setter;
+  let extractor;
+
+  beforeEach(() => {
+    const pathUtils = new PathUtils();
+    setter = new ValueSetter(pathUtils);
+    extractor = new ValueExtractor(pathUtils);
+  });
+
+  describe('ValueSetter', () => {
+    const maliciousPaths = [
+      '__proto__.polluted',
+      'constructor.prototype.polluted',
+      "a['__proto__'].polluted",
+      'a["constructor"]["prototype"].polluted',
+      'a.__proto__',
+      'a.prototype.polluted',
+      'a\\.b.__proto__.polluted',
+      'lines[0].__proto__.polluted',
+    ];
+
+    it.each(maliciousPaths)('should reject %s', (path) => {
+      expect(() => setter.set({}, path, 'yes')).toThrow(/^Unsafe segment "(__proto__|constructor|prototype)" in target path/);
+    });
+
+    it('should create own containers over inherited names', () => {
+      const target = {};
+      setter.set(target, 'toString.value', 'x');
+      setter.set(target, 'hasOwnProperty', 'y');
+      expect(Object.keys(target)).toEqual(['toString', 'hasOwnProperty']);
+      expect(target.toString).toEqual({ value: 'x' });
+    });
+  });
+
+  describe('ValueExtractor', () => {
+    const source = { user: { name: 'Ada' }, items: [{ sku: 'A' }] };
+
+    it.each([
+      '__proto__',
+      'constructor',
+      'constructor.prototype',
+      'user.__proto__.polluted',
+      'user.toString',
+      'user.hasOwnProperty',
+      'items.map',
+      "user['constructor']['name']",
+    ])('should not read inherited property %s', (path) => {
+      expect(extractor.extract(source, path)).toBeUndefined();
+    });
+
+    it('should read own properties with unsafe names as data', () => {
+      const data = JSON.parse('{"__proto__": {"role": "admin"}, "constructor": "c"}');
+      expect(extractor.extract(data, '__proto__.role')).toBe('admin');
+      expect(extractor.extract(data, 'constructor')).toBe('c');
+    });
+
+    it('should not match filters or wildcards against inherited properties', () => {
+      expect(extractor.extract(source, 'items[?constructor].sku')).toEqual([]);
+      expect(extractor.extract(source, 'items[?@.toString].sku')).toEqual([]);
+      expect(extractor.locate(source, 'user.constructor')).toEqual([]);
+    });
+
+    it('should read inherited getters only when enabled, never unsafe keys', () => {
+      class Record {
+        constructor() {
+          this._name = 'Ada';
+        }
+
+        get name() {
+          return this._name;
+        }
+      }
+      const lenient = new ValueExtractor(new PathUtils(), { inheritedProperties: true });
+      expect(extractor.extract(new Record(), 'name')).toBeUndefined();
+      expect(lenient.extract(new Record(), 'name')).toBe('Ada');
+      expect(lenient.extract(new Record(), 'constructor')).toBeUndefined();
+      expect(lenient.extract(new Record(), '__proto__')).toBeUndefined();
+      expect(lenient.findMissingSegment(new Record(), 'name')).toBeNull();
+      expect(lenient.findMissingSegment(new Record(), 'constructor')).toEqual({ segment: 'constructor', parent: '' });
+      expect(extractor.findMissingSegment(new Record(), 'name')).toEqual({ segment: 'name', parent: '' });
+    });
+  });
+
+  describe('YamlParser', () => {
+    const parser = new YamlParser();
+
+    it.each([
+      '__proto__:\n  polluted: yes',
+      '"__proto__":\n  polluted: yes',
+      'a:\n  __proto__: { polluted: yes }',
+      "a: { '__proto__': { polluted: yes } }",
+      '- __proto__: x',
+    ])('should reject %j', (text) => {
+      expect(() => parser.parse(text)).toThrow('Unsafe key "__proto__"');
+    });
+
+    it('should keep constructor and prototype as ordinary keys', () => {
+      const value = parser.parse('constructor: a\nprototype: { b: 1 }');
+      expect(Object.keys(value)).toEqual(['constructor', 'prototype']);
+      expect(Object.getPrototypeOf(value)).toBe(Object.prototype);
+    });
+  });
+
+  describe('DataMapper', () => {
+    it('should reject unsafe targets at construction', () => {
+      expect(() => new DataMapper([{ sources: { v: 'a' }, target: '__proto__.polluted', type: 'string' }])).toThrow(
+        'Rule at index 0: target "__proto__.polluted" contains the unsafe segment "__proto__"'
+      );
+      expect(() => DataMapper.fromJSON('[{"sources":{"v":"a"},"target":"x.constructor.prototype","type":"string"}]'))
+        .toThrow('contains the unsafe segment "constructor"');
+      expect(() => DataMapper.fromYAML('- sources: { v: a }\n  target: "x.prototype.polluted"\n  type: string'))
+        .toThrow('contains the unsafe segment "prototype"');
+    });
+
+    it('should reject unsafe "sources" keys at construction', () => {
+      expect(() => DataMapper.fromJSON('[{"sources":{"__proto__":"a"},"target":"x","type":"object"}]'))
+        .toThrow('Rule at index 0: "sources" cannot have the unsafe key "__proto__"');
+      expect(() => DataMapper.fromJSON('[{"sources":{"a":"a","__proto__":"b"},"target":"x","type":"string","transform":"join"}]'))
+        .toThrow('"sources" cannot have the unsafe key "__proto__"');
+      expect(() => new DataMapper([{ sources: { constructor: 'a' }, target: 'x', type: 'string' }]))
+        .toThrow('"sources" cannot have the unsafe key "constructor"');
+    });
+
+    it('should not write unsafe source paths in reverse', () => {
+      const mapper = new DataMapper([{ sources: { v: '__proto__.polluted' }, target: 'x', type: 'string' }]);
+      expect(mapper.transform({ x: 'yes' })).toEqual({});
+      expect(() => mapper.reverse({ x: 'yes' })).toThrow('Unsafe segment "__proto__"');
+    });
+
+    it('should accept inherited getters under strictSource when inheritedProperties is set', () => {
+      class Record {
+        get name() {
+          return 'Ada';
+        }
+      }
+      const rules = [{ sources: { v: 'name' }, target: 'name', type: 'string' }];
+      const lenient = new DataMapper(rules, { inheritedProperties: true, strictSource: true });
+      expect(lenient.transform(new Record())).toEqual({ name: 'Ada' });
+      expect(() => new DataMapper(rules, { strictSource: true }).transform(new Record()))
+        .toThrow('no "name" at the source root');
+    });
+
+    it('should deep-merge "__proto__" keys of source data as own properties', () => {
+      const mapper = new DataMapper([
+        { sources: { v: 'a' }, target: 'obj', type: 'object' },
+        { sources: { v: 'b' }, target: 'obj', type: 'object', merge: 'deep-merge' },
+      ]);
+      const source = JSON.parse('{"a": {"x": 1}, "b": {"__proto__": {"polluted": "yes"}}}');
+      const { obj } = mapper.transform(source);
+      expect(Object.getPrototypeOf(obj)).toBe(Object.prototype);
+      expect(obj.polluted).toBeUndefined();
+      expect(Object.keys(obj)).toEqual(['x', '__proto__']);
+    });
+  });
+
+  it('should leave Object.prototype untouched after every attempt', () => {
+    expect({}.polluted).toBeUndefined();
+    expect(Object.prototype).not.toHaveProperty('polluted');
+  });
+});
@@ -0,0 +1,44 @@
+// This file is part of MapperExp.
+//
+// MapperExp is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+//
+// MapperExp is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
+
+const TransformRegistry = require('../../src/transform-registry.js');
+
+/**
+ * TransformRegistry Test Suite
+ * Tests for registering and resolving named transforms
+ * ECMAScript 2021 - ServiceNow Compatible
+ */
+
+describe('TransformRegistry', () => {
+  it('should register transforms from the constructor and by name', () => {
+    const upper = (v) => v.toUpperCase();
+    const registry = new TransformRegistry({ upper });
+    registry.register('lower', (v) => v.toLowerCase());
+
+    expect(registry.get('upper')).toBe(upper);
+    expect(registry.has('lower')).toBe(true);
+    expect(registry.names()).toEqual(['upper', 'lower']);
+  });
+
+  it('should support chaining and unregistering', () => {
+    const registry = new TransformRegistry().register('a', () => 1).register('b', () => 2).unregister('a');
+    expect(registry.names()).toEqual(['b']);
+  });
+
+  it('should throw for unknown names, including inherited properties', () => {
+    const registry = new TransformRegistry();
+    expect(() => registry.get('nope')).toThrow('Unknown transform "nope"');
+    expect(registry.has('toString')).toBe(false);
+  });
+
+  it('should validate names and functions', () => {
+    const registry = new TransformRegistry();
+    expect(() => registry.register('', () => 1)).toThrow('Transform name must be a non-empty string');
+    expect(() => registry.register('x', 'fn')).toThrow('Transform "x" must be a function');
+  });
+});
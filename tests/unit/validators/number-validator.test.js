@@ -275,4 +275,21 @@ describe('NumberValidator', () => {
         .not.toThrow();
     });
   });
+
+  describe('Structured errors', () => {
+    const { ValidationError } = require('../../../src/errors.js');
+
+    it('should throw ValidationError naming the failed constraint', () => {
+      let err;
+      try {
+        validator.validate(11, { type: 'number', maximum: 10 });
+      } catch (e) {
+        err = e;
+      }
+      expect(err).toBeInstanceOf(ValidationError);
+      expect(err.code).toBe('VALIDATION_FAILED');
+      expect(err.constraint).toBe('maximum');
+      expect(err.value).toBe(11);
+    });
+  });
 });
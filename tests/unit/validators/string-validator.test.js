@@ -384,4 +384,38 @@ describe('StringValidator', () => {
       })).not.toThrow();
     });
   });
+
+  describe('Structured errors', () => {
+    const { MappingError, ValidationError } = require('../../../src/errors.js');
+
+    function capture(fn) {
+      try {
+        fn();
+      } catch (err) {
+        return err;
+      }
+      throw new Error('Expected function to throw');
+    }
+
+    it('should throw ValidationError with constraint and value', () => {
+      const err = capture(() => validator.validate('toolong', { type: 'string', maxLength: 3 }));
+      expect(err).toBeInstanceOf(ValidationError);
+      expect(err.code).toBe('VALIDATION_FAILED');
+      expect(err.constraint).toBe('maxLength');
+      expect(err.value).toBe('toolong');
+    });
+
+    it('should report format failures with the format constraint', () => {
+      const err = capture(() => validator.validate('nope', { type: 'string', format: 'email' }));
+      expect(err.constraint).toBe('format');
+    });
+
+    it('should report an invalid pattern as a rule error', () => {
+      const err = capture(() => validator.validate('x', { type: 'string', pattern: '[' }));
+      expect(err).toBeInstanceOf(MappingError);
+      expect(err).not.toBeInstanceOf(ValidationError);
+      expect(err.code).toBe('INVALID_RULE');
+      expect(err.cause).toBeInstanceOf(SyntaxError);
+    });
+  });
 });
@@ -0,0 +1,237 @@
+// This file is part of MapperExp.
+//
+// MapperExp is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+//
+// MapperExp is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
+
+const ValueExtractor = require('../../src/value-extractor.js');
+const PathUtils = require('../../src/path-utils.js');
+
+/**
+ * ValueExtractor Test Suite
+ * Tests for reading values from source objects using selector paths
+ * ECMAScript 2021 - ServiceNow Compatible
+ */
+
+describe('ValueExtractor', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new ValueExtractor(new PathUtils());
+  });
+
+  describe('Simple paths', () => {
+    it('should return the source for "$"', () => {
+      const source = { a: 1 };
+      expect(extractor.extract(source, '$')).toBe(source);
+    });
+
+    it('should read nested properties', () => {
+      expect(extractor.extract({ user: { name: 'John' } }, 'user.name')).toBe('John');
+    });
+
+    it('should read bracket indices and quoted keys', () => {
+      const source = { items: [{ meta: { 'x-id': 'a' } }] };
+      expect(extractor.extract(source, "items[0].meta['x-id']")).toBe('a');
+    });
+
+    it('should resolve missing paths to undefined', () => {
+      expect(extractor.extract({ user: null }, 'user.name')).toBeUndefined();
+      expect(extractor.extract({}, 'a.b.c')).toBeUndefined();
+    });
+  });
+
+  describe('Wildcards', () => {
+    const source = {
+      items: [{ sku: 'A' }, { sku: 'B' }, { name: 'no sku' }, { sku: null }],
+      lines: {
+        first: { amount: 10 },
+        second: { amount: 20 },
+      },
+      orders: [
+        { lines: [{ sku: 'X1' }, { sku: 'X2' }] },
+        { lines: [] },
+        { lines: [{ sku: 'Y1' }] },
+        {},
+      ],
+    };
+
+    it('should project a field from every array element', () => {
+      expect(extractor.extract(source, 'items[*].sku')).toEqual(['A', 'B', null]);
+    });
+
+    it('should project over object values with dot wildcard', () => {
+      expect(extractor.extract(source, 'lines.*.amount')).toEqual([10, 20]);
+    });
+
+    it('should return the elements themselves for a trailing wildcard', () => {
+      expect(extractor.extract({ tags: ['a', 'b'] }, 'tags[*]')).toEqual(['a', 'b']);
+    });
+
+    it('should flatten nested wildcards', () => {
+      expect(extractor.extract(source, 'orders[*].lines[*].sku')).toEqual(['X1', 'X2', 'Y1']);
+    });
+
+    it('should not flatten array values when there is a single wildcard', () => {
+      const nested = { groups: [{ ids: [1, 2] }, { ids: [3] }] };
+      expect(extractor.extract(nested, 'groups[*].ids')).toEqual([[1, 2], [3]]);
+    });
+
+    it('should return an empty array for an empty collection', () => {
+      expect(extractor.extract({ items: [] }, 'items[*].sku')).toEqual([]);
+    });
+
+    it('should return undefined when the collection is missing', () => {
+      expect(extractor.extract({}, 'items[*].sku')).toBeUndefined();
+    });
+
+    it('should return undefined when the collection is a primitive', () => {
+      expect(extractor.extract({ items: 'abc' }, 'items[*]')).toBeUndefined();
+    });
+
+    it('should read a literal "*" key when quoted', () => {
+      expect(extractor.extract({ a: { '*': 1, b: 2 } }, "a['*']")).toBe(1);
+    });
+  });
+
+  describe('Filters', () => {
+    const source = {
+      contacts: [
+        { type: 'secondary', email: 'b@example.com' },
+        { type: 'primary', email: 'a@example.com' },
+        { type: 'other' },
+      ],
+      variables: [
+        { name: 'cost_center', value: 'CC-100' },
+        { name: 'location', value: 'NYC' },
+      ],
+      lines: [
+        { qty: 1, price: 5, deleted: false },
+        { qty: 3, price: 2, deleted: true },
+        { qty: 4, price: 10, deleted: false },
+      ],
+    };
+
+    it('should select elements by equality', () => {
+      expect(extractor.extract(source, "contacts[?type=='primary'].email")).toEqual(['a@example.com']);
+      expect(extractor.extract(source, 'variables[?name=="cost_center"].value')).toEqual(['CC-100']);
+    });
+
+    it('should support @-relative paths and inequality', () => {
+      expect(extractor.extract(source, "contacts[?@.type != 'primary'].type")).toEqual(['secondary', 'other']);
+    });
+
+    it('should support numeric comparison with && and !', () => {
+      expect(extractor.extract(source, 'lines[?@.qty >= 3 && !@.deleted].price')).toEqual([10]);
+    });
+
+    it('should support || and parentheses', () => {
+      expect(extractor.extract(source, 'lines[?(qty < 2 || qty > 3) && deleted == false].qty')).toEqual([1, 4]);
+    });
+
+    it('should treat a bare path as a truthiness test', () => {
+      expect(extractor.extract(source, 'contacts[?email].type')).toEqual(['secondary', 'primary']);
+    });
+
+    it('should compare strictly without type coercion', () => {
+      expect(extractor.extract(source, "lines[?qty == '1'].price")).toEqual([]);
+      expect(extractor.extract(source, "lines[?qty > '1'].price")).toEqual([]);
+    });
+
+    it('should filter primitive elements with @', () => {
+      expect(extractor.extract({ n: [1, 5, 9] }, 'n[?@ > 3]')).toEqual([5, 9]);
+    });
+
+    it('should flatten filters combined with wildcards', () => {
+      const orders = { orders: [
+        { lines: [{ sku: 'A', ok: true }, { sku: 'B', ok: false }] },
+        { lines: [{ sku: 'C', ok: true }] },
+      ] };
+      expect(extractor.extract(orders, 'orders[*].lines[?ok == true].sku')).toEqual(['A', 'C']);
+    });
+
+    it('should support null literals and quoted keys in filters', () => {
+      const data = { rows: [{ 'x-id': null, v: 1 }, { 'x-id': 'a', v: 2 }] };
+      expect(extractor.extract(data, "rows[?@['x-id'] == null].v")).toEqual([1]);
+    });
+
+    it('should return undefined when the collection is missing', () => {
+      expect(extractor.extract({}, "contacts[?type=='primary'].email")).toBeUndefined();
+    });
+  });
+
+  describe('locate', () => {
+    const data = {
+      a: { b: null, c: 1 },
+      lines: [{ sku: 'A', qty: 2 }, { qty: 1 }],
+    };
+
+    it('should return the concrete key path of a plain selector', () => {
+      expect(extractor.locate(data, 'a.b')).toEqual([['a', 'b']]);
+      expect(extractor.locate(data, 'lines[1].qty')).toEqual([['lines', 1, 'qty']]);
+      expect(extractor.locate(data, '$')).toEqual([[]]);
+    });
+
+    it('should return every element matched by wildcards and filters', () => {
+      expect(extractor.locate(data, 'lines[*].sku')).toEqual([['lines', 0, 'sku']]);
+      expect(extractor.locate(data, 'lines[?qty > 1]')).toEqual([['lines', 0]]);
+      expect(extractor.locate(data, 'a.*')).toEqual([['a', 'b'], ['a', 'c']]);
+    });
+
+    it('should report the fields read by filter predicates in every tested element', () => {
+      const tested = [];
+      expect(extractor.locate(data, "lines[?qty > 1 && sku == 'A']", tested)).toEqual([['lines', 0]]);
+      expect(tested).toEqual([['lines', 0, 'qty'], ['lines', 0, 'sku'], ['lines', 1, 'qty']]);
+
+      const self = [];
+      extractor.locate({ tags: ['x', 'y'] }, "tags[?@ == 'y']", self);
+      expect(self).toEqual([['tags', 0], ['tags', 1]]);
+    });
+
+    it('should return nothing for missing paths', () => {
+      expect(extractor.locate(data, 'a.b.c')).toEqual([]);
+      expect(extractor.locate(data, 'missing[*].x')).toEqual([]);
+    });
+  });
+
+  describe('append segments', () => {
+    it('should reject append segments in selectors', () => {
+      expect(() => extractor.extract({ tags: [] }, 'tags[]'))
+        .toThrow('Append segments ("[]") can only be used in a target path: "tags[]"');
+      expect(() => extractor.locate({ tags: [] }, 'tags[-]')).toThrow('can only be used in a target path');
+    });
+  });
+
+  describe('findMissingSegment', () => {
+    const data = {
+      caller: { email: 'a@example.com', manager: null, note: undefined },
+      lines: [{ sku: 'A' }],
+      title: 'VPN',
+    };
+
+    it('should return null for existing paths, including null and undefined values', () => {
+      expect(extractor.findMissingSegment(data, 'caller.email')).toBeNull();
+      expect(extractor.findMissingSegment(data, 'caller.note')).toBeNull();
+      expect(extractor.findMissingSegment(data, 'caller.manager.name')).toBeNull();
+      expect(extractor.findMissingSegment(data, '$')).toBeNull();
+    });
+
+    it('should name the first missing segment and its parent', () => {
+      expect(extractor.findMissingSegment(data, 'caller.emial')).toEqual({ segment: 'emial', parent: 'caller' });
+      expect(extractor.findMissingSegment(data, 'calr.email')).toEqual({ segment: 'calr', parent: '' });
+      expect(extractor.findMissingSegment(data, 'lines[3].sku')).toEqual({ segment: '3', parent: 'lines' });
+      expect(extractor.findMissingSegment(data, 'title.length')).toEqual({ segment: 'length', parent: 'title' });
+    });
+
+    it('should not read inherited properties', () => {
+      expect(extractor.findMissingSegment(data, 'caller.toString')).toEqual({ segment: 'toString', parent: 'caller' });
+    });
+
+    it('should stop checking at wildcards and filters', () => {
+      expect(extractor.findMissingSegment(data, 'lines[*].price')).toBeNull();
+      expect(extractor.findMissingSegment(data, 'items[*].price')).toEqual({ segment: 'items', parent: '' });
+    });
+  });
+});
@@ -134,10 +134,114 @@ describe('ValueSetter', () => {
       expect(target.users[0]).toEqual({ name: 'John', age: 30 });
     });
 
-    it('should throw when trying to create array with non-numeric index', () => {
+    it('should create an object for a non-numeric segment', () => {
       const target = {};
+      setter.set(target, 'items.abc', 'value');
+      expect(target).toEqual({ items: { abc: 'value' } });
+    });
+
+    it('should create arrays when the next segment is an index', () => {
+      const target = {};
+      setter.set(target, 'lines[0].sku', 'A');
+      setter.set(target, 'lines.1.sku', 'B');
+      setter.set(target, 'matrix[0][1]', 'x');
+      expect(target).toEqual({ lines: [{ sku: 'A' }, { sku: 'B' }], matrix: [[undefined, 'x']] });
+      expect(Array.isArray(target.lines)).toBe(true);
+    });
+
+    it('should fill gaps before an index with undefined instead of leaving holes', () => {
+      const target = {};
+      setter.set(target, 'tags[2]', 'c');
+      expect(target.tags).toHaveLength(3);
+      expect(0 in target.tags).toBe(true);
+      expect(target.tags).toEqual([undefined, undefined, 'c']);
+      expect(JSON.stringify(target)).toBe('{"tags":[null,null,"c"]}');
+    });
+
+    it('should reject writes that leave a gap of more than MAX_INDEX_GAP elements', () => {
+      const target = { tags: ['a'] };
+      setter.set(target, `tags[${1 + ValueSetter.MAX_INDEX_GAP}]`, 'z');
+      expect(target.tags).toHaveLength(ValueSetter.MAX_INDEX_GAP + 2);
+
+      expect(() => setter.set(target, 'lines[1000000000].sku', 'A'))
+        .toThrow('Index 1000000000 at path "lines" would leave a gap of 1000000000 elements (at most 1000)');
+      expect(() => setter.set(target, 'a.3000000', 1)).toThrow('would leave a gap of 3000000 elements');
+      expect(() => setter.set(target, `tags[${ValueSetter.MAX_INDEX_GAP * 3}]`, 'z')).toThrow('would leave a gap of 1998');
+      expect(target).toEqual({ tags: expect.any(Array) });
+    });
+
+    it('should let a later write fill a gap', () => {
+      const target = {};
+      setter.set(target, 'lines[1].sku', 'B');
+      setter.set(target, 'lines[0].sku', 'A');
+      expect(target.lines).toEqual([{ sku: 'A' }, { sku: 'B' }]);
+    });
+
+    it('should append with [] and [-]', () => {
+      const target = { tags: ['a'] };
+      setter.set(target, 'tags[]', 'b');
+      setter.set(target, 'tags[-]', 'c');
+      setter.set(target, 'notes[]', 'first');
+      setter.set(target, 'lines[].sku', 'A');
+      expect(target).toEqual({ tags: ['a', 'b', 'c'], notes: ['first'], lines: [{ sku: 'A' }] });
+    });
+
+    it('should create objects for quoted numeric keys', () => {
+      const target = {};
+      setter.set(target, "a['0']", 1);
+      setter.set(target, "b['1'].c", 2);
+      expect(target).toEqual({ a: { '0': 1 }, b: { '1': { c: 2 } } });
+      expect(Array.isArray(target.a)).toBe(false);
+    });
+
+    it('should keep numeric keys of existing objects', () => {
+      const target = { byId: {} };
+      setter.set(target, 'byId.42', 'x');
+      expect(target).toEqual({ byId: { '42': 'x' } });
+    });
+
+    it('should throw on a non-numeric key in an existing array', () => {
+      const target = { items: [] };
       expect(() => setter.set(target, 'items.abc', 'value'))
-        .toThrow('Cannot set non-numeric property "abc" on non-existent array');
+        .toThrow('Cannot set non-numeric property "abc" on array at path "items"');
+    });
+
+    it('should throw when appending to a non-array', () => {
+      const target = { tags: {} };
+      expect(() => setter.set(target, 'tags[]', 'a'))
+        .toThrow('Cannot append to non-array value at path "tags"');
+    });
+  });
+
+  describe('Unsetting', () => {
+    it('should delete a nested property', () => {
+      const target = { user: { name: 'John', age: 30 } };
+      expect(setter.unset(target, 'user.age')).toBe(true);
+      expect(target).toEqual({ user: { name: 'John' } });
+      expect('age' in target.user).toBe(false);
+    });
+
+    it('should splice array elements', () => {
+      const target = { tags: ['a', 'b', 'c'], lines: [{ sku: 'A' }, { sku: 'B' }] };
+      setter.unset(target, 'tags[1]');
+      setter.unset(target, 'lines.0');
+      expect(target).toEqual({ tags: ['a', 'c'], lines: [{ sku: 'B' }] });
+    });
+
+    it('should ignore missing paths', () => {
+      const target = { user: 'John', tags: [] };
+      expect(setter.unset(target, 'missing.name')).toBe(false);
+      expect(setter.unset(target, 'user.name')).toBe(false);
+      expect(setter.unset(target, 'tags[3]')).toBe(false);
+      expect(setter.unset(target, 'tags.length')).toBe(false);
+      expect(setter.unset(target, 'toString')).toBe(false);
+      expect(target).toEqual({ user: 'John', tags: [] });
+    });
+
+    it('should reject append, projection and unsafe paths', () => {
+      expect(() => setter.unset({ tags: [] }, 'tags[]')).toThrow('Append segments cannot be used to unset a value');
+      expect(() => setter.unset({}, 'items[*].sku')).toThrow('Wildcard selectors cannot be used as a target path');
+      expect(() => setter.unset({}, '__proto__.polluted')).toThrow('Unsafe segment "__proto__"');
     });
   });
 
@@ -230,6 +334,16 @@ describe('ValueSetter', () => {
       expect(target.first_name).toBe('John');
     });
 
+    it('should reject wildcard target paths', () => {
+      expect(() => setter.set({}, 'items[*].sku', 'A'))
+        .toThrow('Wildcard selectors cannot be used as a target path');
+    });
+
+    it('should reject filter target paths', () => {
+      expect(() => setter.set({}, "contacts[?type=='primary'].email", 'a'))
+        .toThrow('Filter selectors cannot be used as a target path');
+    });
+
     it('should throw when overwriting primitive with nested path', () => {
       const target = { user: 'John' };
       expect(() => setter.set(target, 'user.name', 'Jane'))
@@ -244,12 +358,32 @@ describe('ValueSetter', () => {
       expect(result).toBe(target);
     });
 
-    it('should allow method chaining', () => {
+    it('should not attach anything else to the target', () => {
+      const target = {};
+      setter.set(target, 'name', 'John');
+      expect(Object.getOwnPropertyNames(target)).toEqual(['name']);
+      expect(target.set).toBeUndefined();
+    });
+
+    it('should allow method chaining in chainable mode', () => {
+      const chainable = new ValueSetter(new PathUtils(), { chainable: true });
       const target = {};
-      setter.set(target, 'name', 'John')
+      chainable.set(target, 'name', 'John')
         .set(target, 'age', 30)
         .set(target, 'active', true);
       expect(target).toEqual({ name: 'John', age: 30, active: true });
+      expect(Object.keys(target)).toEqual(['name', 'age', 'active']);
+
+      chainable.set(target, 'set', 'A');
+      expect(target).toEqual({ name: 'John', age: 30, active: true, set: 'A' });
+      expect(JSON.stringify(target)).toBe('{"name":"John","age":30,"active":true,"set":"A"}');
+    });
+
+    it('should write a real "set" field like any other', () => {
+      const target = {};
+      setter.set(target, 'set', 'A');
+      setter.set(target, 'options.set', true);
+      expect(target).toEqual({ set: 'A', options: { set: true } });
     });
   });
 
@@ -258,13 +392,13 @@ describe('ValueSetter', () => {
       const target = {};
       setter.set(target, 'users.0.profile.email', 'test@example.com');
       expect(target).toEqual({
-        users: {
-          '0': {
+        users: [
+          {
             profile: {
               email: 'test@example.com',
             },
           },
-        },
+        ],
       });
     });
 
@@ -0,0 +1,131 @@
+// This file is part of MapperExp.
+//
+// MapperExp is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+//
+// MapperExp is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License along with MapperExp. If not, see <https://www.gnu.org/licenses/>.
+
+const YamlParser = require('../../src/yaml-parser.js');
+
+/**
+ * YamlParser Test Suite
+ * Tests for the dependency-free YAML subset used by mapping files
+ * ECMAScript 2021 - ServiceNow Compatible
+ */
+
+describe('YamlParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new YamlParser();
+  });
+
+  describe('Scalars', () => {
+    it('should parse plain scalars', () => {
+      expect(parser.parse('a: hello world\nb: 42\nc: -1.5\nd: true\ne: false\nf: null\ng: ~\nh:')).toEqual({
+        a: 'hello world', b: 42, c: -1.5, d: true, e: false, f: null, g: null, h: null,
+      });
+    });
+
+    it('should keep numeric-looking strings that are not numbers', () => {
+      expect(parser.parse('a: 007\nb: 1.2.3\nc: 2024-01-15')).toEqual({ a: '007', b: '1.2.3', c: '2024-01-15' });
+    });
+
+    it('should parse quoted scalars', () => {
+      expect(parser.parse("a: 'it''s: #1'\nb: \"line\\nnext \\u0041\"\nc: '42'")).toEqual({
+        a: "it's: #1", b: 'line\nnext A', c: '42',
+      });
+    });
+
+    it('should keep selectors with brackets and colons', () => {
+      expect(parser.parse("path: items[0].sku\nurl: http://example.com/a#b\nf: \"contacts[?type=='primary'].email\"")).toEqual({
+        path: 'items[0].sku', url: 'http://example.com/a#b', f: "contacts[?type=='primary'].email",
+      });
+    });
+  });
+
+  describe('Collections', () => {
+    it('should parse nested mappings', () => {
+      expect(parser.parse('a:\n  b:\n    c: 1\n  d: 2')).toEqual({ a: { b: { c: 1 }, d: 2 } });
+    });
+
+    it('should parse sequences, including at the same indentation as their key', () => {
+      expect(parser.parse('a:\n  - 1\n  - two\nb:\n- x\n- y')).toEqual({ a: [1, 'two'], b: ['x', 'y'] });
+    });
+
+    it('should parse mappings inside sequences', () => {
+      const yaml = [
+        '- sources:',
+        '    id: sys_id',
+        '  target: id',
+        '-',
+        '  target: other',
+      ].join('\n');
+      expect(parser.parse(yaml)).toEqual([{ sources: { id: 'sys_id' }, target: 'id' }, { target: 'other' }]);
+    });
+
+    it('should parse compact nested sequences', () => {
+      const yaml = [
+        '- - a',
+        '  - b',
+        '- - - c',
+        '  - d: 1',
+        '    e: 2',
+      ].join('\n');
+      expect(parser.parse(yaml)).toEqual([['a', 'b'], [['c'], { d: 1, e: 2 }]]);
+      expect(parser.parse('pairs:\n  - - x\n    - 1')).toEqual({ pairs: [['x', 1]] });
+    });
+
+    it('should parse flow collections', () => {
+      expect(parser.parse("a: [trim, { name: truncate, args: [50, '...'] }]\nb: {}\nc: []")).toEqual({
+        a: ['trim', { name: 'truncate', args: [50, '...'] }], b: {}, c: [],
+      });
+    });
+
+    it('should parse quoted keys', () => {
+      expect(parser.parse('"x-id": 1\n\'a.b\': 2')).toEqual({ 'x-id': 1, 'a.b': 2 });
+    });
+  });
+
+  describe('Comments and documents', () => {
+    it('should ignore comments, blank lines and a leading document marker', () => {
+      expect(parser.parse('---\n# header\n\na: 1 # trailing\n\n  # indented comment\nb: "#not a comment"')).toEqual({
+        a: 1, b: '#not a comment',
+      });
+    });
+
+    it('should return null for empty input', () => {
+      expect(parser.parse('# nothing\n')).toBeNull();
+    });
+  });
+
+  describe('Errors', () => {
+    it('should report the line of bad indentation', () => {
+      expect(() => parser.parse('a: 1\n   b: 2')).toThrow('YAML parse error at line 2: Unexpected indentation');
+    });
+
+    it('should reject duplicate keys', () => {
+      expect(() => parser.parse('a: 1\na: 2')).toThrow('YAML parse error at line 2: Duplicate key "a"');
+      expect(() => parser.parse('x: 0\na: { b: 1, "b": 2 }')).toThrow('YAML parse error at line 2: Duplicate key "b"');
+    });
+
+    it('should reject tabs', () => {
+      expect(() => parser.parse('a:\n\tb: 1')).toThrow('Tabs are not allowed');
+    });
+
+    it('should reject unsupported features', () => {
+      expect(() => parser.parse('a: |\n  text')).toThrow('Block scalars are not supported');
+      expect(() => parser.parse('a: &x 1')).toThrow('Anchors, aliases and tags are not supported');
+    });
+
+    it('should reject unterminated strings and flow collections', () => {
+      expect(() => parser.parse("a: 'abc")).toThrow('YAML parse error at line 1: Unterminated quoted string');
+      expect(() => parser.parse('a: [1, 2')).toThrow('Expected "," or "]" in flow sequence');
+    });
+
+    it('should reject non-string input', () => {
+      expect(() => parser.parse(null)).toThrow('YAML input must be a string');
+    });
+  });
+});